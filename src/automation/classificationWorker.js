@@ -0,0 +1,20 @@
+import cron from "node-cron";
+import { processClassificationJobs } from "../services/classificationQueue.js";
+
+let running = false;
+
+// Polls the Mongo-backed classification queue every 10 seconds
+export const startClassificationWorker = () => {
+  cron.schedule("*/10 * * * * *", async () => {
+    // Skip the tick if the previous batch is still being classified
+    if (running) return;
+    running = true;
+    try {
+      await processClassificationJobs();
+    } catch (error) {
+      console.error("Classification worker error:", error);
+    } finally {
+      running = false;
+    }
+  });
+};
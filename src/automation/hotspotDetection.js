@@ -0,0 +1,14 @@
+import cron from "node-cron";
+import { detectHotspots } from "../services/hotspotService.js";
+
+// Looks for chronic dump sites once a night
+export const startHotspotDetection = () => {
+  cron.schedule("0 3 * * *", async () => {
+    try {
+      const result = await detectHotspots();
+      console.log("Hotspot detection finished:", result);
+    } catch (error) {
+      console.error("Hotspot detection error:", error);
+    }
+  });
+};
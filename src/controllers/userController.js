@@ -245,6 +245,10 @@ export const login = catchAsyncError(async (req, res, next) => {
   if (!isPasswordMatched) {
     return next(new ErrorHandler("Invalid email or password.", 400));
   }
+
+  if (user.suspension?.suspendedAt) {
+    return next(new ErrorHandler("Your account has been suspended. Please contact support.", 403));
+  }
   
   // Send welcome email on first login
   if (!user.welcomeEmailSent) {
@@ -7,9 +7,15 @@ import cookieParser from "cookie-parser";
 import authRoutes from "./routes/authRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import statsRoutes from "./routes/statsRoutes.js";
 import { connectDB } from "./lib/db.js";
+import { getStorage } from "./lib/storage/index.js";
 import { errorMiddleware } from "./middleware/error.js";
+import { MAX_JSON_BODY_BYTES, jsonImagesTooLarge } from "./utils/reportValidation.js";
 import { removeUnverifiedAccounts } from "./automation/removeUnverifiedAccounts.js";
+import { startClassificationWorker } from "./automation/classificationWorker.js";
+import { startHotspotDetection } from "./automation/hotspotDetection.js";
 
 const app = express();
 app.set('trust proxy', 1); // Trust reverse proxy
@@ -17,7 +23,7 @@ app.set('trust proxy', 1); // Trust reverse proxy
 const PORT = process.env.PORT || 3000;
 
 // Security and configuration
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: MAX_JSON_BODY_BYTES }));
 
 // Enable CORS
 app.use(cors());
@@ -29,10 +35,13 @@ app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use((err, req, res, next) => {
   res.setHeader('Content-Type', 'application/json');
 
-  if (err instanceof SyntaxError && err.status === 413) {
+  // Body-parser raises a PayloadTooLargeError (not a SyntaxError) past the JSON limit
+  if (err.type === 'entity.too.large') {
+    const { body } = jsonImagesTooLarge();
     return res.status(413).json({
+      ...body,
       error: "Payload too large",
-      suggestion: "Compress images before uploading"
+      suggestion: "Compress images or upload them as multipart/form-data"
     });
   }
 
@@ -40,16 +49,29 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Rate limiter for report creation
+// Rate limiter for report creation (POST /api/report only)
 const reportLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 5, // Limit to 5 report submissions per minute
+  skip: (req) => !(req.method === 'POST' && req.path === '/'),
   message: JSON.stringify({
     error: 'Too many report submissions',
     message: 'Please try again later'
   })
 });
 
+// Looser limit for everything else under /api/report: feed thumbnails, map
+// panning and comment threads fire many requests per screen
+const reportApiLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.REPORT_API_RATE_LIMIT) || 300,
+  skip: (req) => req.method === 'POST' && req.path === '/',
+  message: JSON.stringify({
+    error: 'Too many requests',
+    message: 'Please try again later'
+  })
+});
+
 // SIMPLIFIED HEALTH CHECK ENDPOINT
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -59,10 +81,18 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Images stored on local disk (STORAGE_DRIVER=local) are served by this app
+const { staticMount } = getStorage();
+if (staticMount) {
+  app.use(staticMount.route, express.static(staticMount.directory, { maxAge: "7d", index: false }));
+}
+
 // Routes
 app.use("/api/auth", authRoutes);
-app.use("/api/report", reportLimiter, reportRoutes); // Rate limiter applied
+app.use("/api/report", reportLimiter, reportApiLimiter, reportRoutes); // Rate limiters applied
 app.use("/api/users", userRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/stats", statsRoutes);
 
 // Start server
 app.listen(PORT, () => {
@@ -72,6 +102,8 @@ app.listen(PORT, () => {
   // Start cron job AFTER server starts and env vars are loaded
   job.start();
   removeUnverifiedAccounts(); // Schedule task to remove unverified accounts
+  startClassificationWorker(); // Process queued async report classifications
+  startHotspotDetection(); // Nightly search for chronic dump sites
 });
 
 app.use(errorMiddleware); // Error handling middleware
\ No newline at end of file
@@ -0,0 +1,37 @@
+import cloudinary from '../cloudinary.js';
+import { IMAGE_VARIANTS } from './variants.js';
+
+// Cloudinary resizes on delivery, so variants are just transformation URLs
+const CROP_MODES = { cover: 'fill', inside: 'limit' };
+
+export function createCloudinaryDriver() {
+  return {
+    name: 'cloudinary',
+
+    upload(stream, { folder = 'reports' } = {}) {
+      return new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream(
+          { resource_type: 'image', folder, format: 'jpg' },
+          (error, result) => (error ? reject(error) : resolve({ publicId: result.public_id, url: result.secure_url }))
+        );
+        stream.on('error', () => upload.end());
+        stream.pipe(upload);
+      });
+    },
+
+    async delete(publicId) {
+      await cloudinary.uploader.destroy(publicId);
+    },
+
+    getUrl(publicId, variant) {
+      const size = IMAGE_VARIANTS[variant];
+      return cloudinary.url(publicId, {
+        secure: true,
+        format: 'jpg',
+        ...(size && {
+          transformation: [{ width: size.width, height: size.height, crop: CROP_MODES[size.fit] }]
+        })
+      });
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import { createCloudinaryDriver } from './cloudinaryDriver.js';
+import { createLocalDriver } from './localDriver.js';
+
+// A driver is { name, upload(stream, { folder }), delete(publicId), getUrl(publicId, variant) }
+// plus an optional staticMount { route, directory } when files are served by this app.
+// upload takes an already resized JPEG stream and resolves to { publicId, url }.
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver
+};
+
+// Images stored before drivers were recorded per image all went to Cloudinary
+export const LEGACY_STORAGE_DRIVER = 'cloudinary';
+
+let driver;
+const driversByName = {};
+
+const createDriver = (name) => {
+  const factory = driverFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(driverFactories).join(', ')}`);
+  }
+  return factory();
+};
+
+// Returns the driver chosen by STORAGE_DRIVER (default: cloudinary) for new uploads,
+// or, given the name recorded on an image, the driver that stored it
+export function getStorage(name) {
+  if (!driver) {
+    driver = createDriver((process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase());
+  }
+  if (!name || name === driver.name) return driver;
+  driversByName[name] ??= createDriver(name);
+  return driversByName[name];
+}
+
+// Swap the active driver, e.g. an in-memory one in tests
+export function setStorage(newDriver) {
+  driver = newDriver;
+}
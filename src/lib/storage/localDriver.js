@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import { IMAGE_VARIANTS } from './variants.js';
+
+// Stores images on disk and serves them through the /uploads static route
+// (see staticMount), for offline development and self-hosting.
+// The full-size file is <publicId>.jpg; variants are <publicId>_<variant>.jpg.
+export function createLocalDriver({
+  directory = process.env.LOCAL_STORAGE_DIR || 'uploads',
+  baseUrl = process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3000}/uploads`
+} = {}) {
+  const root = path.resolve(directory);
+
+  // publicIds come from the database; never let one point outside the storage folder
+  const fileFor = (publicId, variant) => {
+    const file = path.resolve(root, `${publicId}${variant ? `_${variant}` : ''}.jpg`);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid publicId "${publicId}"`);
+    }
+    return file;
+  };
+
+  const remove = async (publicId) => {
+    const files = [fileFor(publicId), ...Object.keys(IMAGE_VARIANTS).map(variant => fileFor(publicId, variant))];
+    await Promise.all(files.map(file => fs.promises.unlink(file).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    })));
+  };
+
+  const getUrl = (publicId, variant) => `${baseUrl}/${publicId}${IMAGE_VARIANTS[variant] ? `_${variant}` : ''}.jpg`;
+
+  return {
+    name: 'local',
+    staticMount: { route: '/uploads', directory: root },
+
+    async upload(stream, { folder = 'reports' } = {}) {
+      const publicId = `${folder}/${randomUUID()}`;
+      const file = fileFor(publicId);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      try {
+        await pipeline(stream, fs.createWriteStream(file));
+        // Same sizes Cloudinary would produce on delivery, rendered once up front
+        await Promise.all(Object.entries(IMAGE_VARIANTS).map(([variant, size]) => sharp(file)
+          .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toFile(fileFor(publicId, variant))));
+      } catch (error) {
+        await remove(publicId);
+        throw error;
+      }
+
+      return { publicId, url: getUrl(publicId) };
+    },
+
+    delete: remove,
+
+    getUrl
+  };
+}
@@ -0,0 +1,11 @@
+// Sizes every stored image is available in, whichever driver stores it.
+// fit follows sharp: "inside" keeps the aspect ratio, "cover" crops to fill.
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  small: { width: 400, height: 400, fit: 'inside' }
+};
+
+// The stored original is bounded to this size before upload
+export const MAX_IMAGE_DIMENSION = 800;
+
+export const isVariant = (variant) => Object.prototype.hasOwnProperty.call(IMAGE_VARIANTS, variant);
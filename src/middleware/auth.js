@@ -2,6 +2,7 @@ import { catchAsyncError } from "./catchAsyncError.js";
 import ErrorHandler from "./error.js";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { findActiveApiKey } from "../services/apiKeyService.js";
 
 export const isAuthenticated = catchAsyncError(async (req, res, next) => {
   let authToken;
@@ -39,6 +40,10 @@ export const isAuthenticated = catchAsyncError(async (req, res, next) => {
     if (user.tokenVersion !== tokenVersion) {
       return next(new ErrorHandler("Session expired. Please login again.", 401));
     }
+
+    if (user.suspension?.suspendedAt) {
+      return next(new ErrorHandler("Your account has been suspended. Please contact support.", 403));
+    }
     
     // Attach user to request
     req.user = user;
@@ -56,4 +61,44 @@ export const isAuthenticated = catchAsyncError(async (req, res, next) => {
     // Generic error
     return next(new ErrorHandler("Authentication failed. Please login again.", 401));
   }
-});
\ No newline at end of file
+});
+
+// Restricts a route to the given roles; use after isAuthenticated.
+// The role is read from the database user, so changes apply without a new token.
+export const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new ErrorHandler(
+          `Role (${req.user?.role || "guest"}) is not allowed to access this resource.`,
+          403
+        )
+      );
+    }
+    next();
+  };
+};
+
+// Lets partner integrations in with an x-api-key header; everyone else needs
+// a login with one of the given roles
+export const apiKeyOrRoles = (...roles) => {
+  const checkRole = authorize(...roles);
+
+  return catchAsyncError(async (req, res, next) => {
+    const key = req.headers["x-api-key"];
+    if (!key) {
+      return isAuthenticated(req, res, (error) => {
+        if (error) return next(error);
+        checkRole(req, res, next);
+      });
+    }
+
+    const apiKey = await findActiveApiKey(key);
+    if (!apiKey) {
+      return next(new ErrorHandler("Invalid or revoked API key.", 401));
+    }
+
+    req.apiKey = apiKey;
+    next();
+  });
+};
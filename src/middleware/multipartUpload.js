@@ -0,0 +1,144 @@
+import busboy from "busboy";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { detectImageType, SIGNATURE_LENGTH, SUPPORTED_IMAGE_TYPES } from "../utils/imageSignature.js";
+
+// Rejects the upload as soon as the first bytes show it isn't a supported image
+class SignatureCheck extends Transform {
+  constructor() {
+    super();
+    this.header = Buffer.alloc(0);
+    this.detected = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!this.detected) {
+      this.header = Buffer.concat([this.header, chunk]).subarray(0, SIGNATURE_LENGTH);
+      if (this.header.length < SIGNATURE_LENGTH) {
+        return callback(null, chunk);
+      }
+      this.detected = detectImageType(this.header);
+      if (!this.detected) {
+        return callback(Object.assign(new Error("Unsupported image type"), { code: "UNSUPPORTED_IMAGE_TYPE" }));
+      }
+    }
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    if (!this.detected) {
+      this.detected = detectImageType(this.header);
+      if (!this.detected) {
+        return callback(Object.assign(new Error("Unsupported image type"), { code: "UNSUPPORTED_IMAGE_TYPE" }));
+      }
+    }
+    callback();
+  }
+}
+
+const removeFiles = (files) => {
+  for (const file of files) {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+// Parses multipart/form-data requests, streaming files in the given fields to
+// temp files (req.files) and text fields into req.body. Size and type are checked
+// while the bytes arrive, so oversized or non-image uploads are cut off early and
+// nothing large is held in memory. JSON requests pass straight through.
+// Temp files are deleted once the response is sent.
+export const multipartUpload = ({ fields = ["image", "images"], maxFiles = 5, maxFileSize = 5 * 1024 * 1024 } = {}) => {
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) return next();
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: maxFiles, fileSize: maxFileSize, fields: 30, fieldSize: 10 * 1024 }
+      });
+    } catch (error) {
+      return res.status(400).json({ message: "Malformed multipart request", code: "INVALID_MULTIPART" });
+    }
+
+    req.body = {};
+    req.files = [];
+    const writes = [];
+    let failed = false;
+
+    res.on("close", () => removeFiles(req.files));
+
+    // Stop reading the rest of the upload and answer straight away
+    const fail = (status, body) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      req.resume();
+      res.set("Connection", "close");
+      res.status(status).json(body);
+    };
+
+    parser.on("field", (name, value) => {
+      // Form fields are always strings; turn flags back into booleans
+      req.body[name] = value === "true" ? true : value === "false" ? false : value;
+    });
+
+    parser.on("file", (name, stream, info) => {
+      if (failed || !fields.includes(name)) {
+        stream.resume();
+        return;
+      }
+
+      const file = {
+        fieldName: name,
+        originalName: info.filename,
+        path: path.join(os.tmpdir(), `greensnap-upload-${randomUUID()}`),
+        size: 0
+      };
+      req.files.push(file);
+
+      const check = new SignatureCheck();
+      stream.on("data", (chunk) => { file.size += chunk.length; });
+      stream.on("limit", () => {
+        fail(413, { message: `Image too large (max ${Math.round(maxFileSize / (1024 * 1024))}MB)`, code: "IMAGE_TOO_LARGE" });
+        stream.destroy();
+      });
+
+      writes.push(
+        pipeline(stream, check, fs.createWriteStream(file.path))
+          .then(() => { file.mimeType = check.detected.mimeType; })
+          .catch((error) => {
+            if (error.code === "UNSUPPORTED_IMAGE_TYPE") {
+              fail(415, {
+                message: "Unsupported image type",
+                code: "UNSUPPORTED_IMAGE_TYPE",
+                supportedTypes: SUPPORTED_IMAGE_TYPES
+              });
+            } else if (!failed) {
+              console.error("Upload stream error:", error);
+              fail(500, { message: "Image upload failed", code: "UPLOAD_FAILED" });
+            }
+          })
+      );
+    });
+
+    parser.on("filesLimit", () => {
+      fail(400, { message: `At most ${maxFiles} images can be uploaded`, code: "INVALID_IMAGE_COUNT", maxImages: maxFiles });
+    });
+
+    parser.on("error", () => {
+      fail(400, { message: "Malformed multipart request", code: "INVALID_MULTIPART" });
+    });
+
+    parser.on("close", async () => {
+      await Promise.all(writes);
+      if (!failed) next();
+    });
+
+    req.pipe(parser);
+  };
+};
@@ -0,0 +1,49 @@
+import Report from '../models/Report.js';
+import classifyImage from '../services/classificationService.js';
+import { toAiVerification } from '../services/verificationPolicy.js';
+import { downloadImage } from '../utils/downloadImage.js';
+
+export const description = 'Backfill aiVerification on reports saved before it was part of the schema';
+
+// Options:
+//   reclassify - run each image through the classifier instead of marking it "unknown"
+//   all        - also re-process reports that already have aiVerification (needs reclassify)
+//   limit      - stop after this many reports
+export async function up({ reclassify = false, all = false, limit } = {}) {
+  const filter = reclassify && all ? {} : { aiVerification: null };
+  const cursor = Report.find(filter).select('_id image reportType').lean().cursor();
+
+  const result = { processed: 0, backfilled: 0, reclassified: 0, failed: 0 };
+
+  for await (const report of cursor) {
+    if (limit && result.processed >= limit) break;
+    result.processed++;
+
+    if (!reclassify) {
+      await Report.updateOne(
+        { _id: report._id },
+        { $set: { aiVerification: { verification: 'unknown', source: 'backfill' } } }
+      );
+      result.backfilled++;
+      continue;
+    }
+
+    try {
+      const classification = await classifyImage(await downloadImage(report.image), {
+        reportType: report.reportType
+      });
+      // Field-by-field so an existing forceSubmit flag survives re-classification
+      const { forceSubmit, ...fields } = toAiVerification(classification, 'reclassification');
+      const update = Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`aiVerification.${key}`, value])
+      );
+      await Report.updateOne({ _id: report._id }, { $set: update });
+      result.reclassified++;
+    } catch (error) {
+      console.error(`Reclassification failed for report ${report._id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
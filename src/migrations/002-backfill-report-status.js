@@ -0,0 +1,27 @@
+import Report from '../models/Report.js';
+
+export const description = 'Give reports created before the status lifecycle an "open" status and history';
+
+export async function up() {
+  const reports = Report.find({ status: { $exists: false } })
+    .select('_id user createdAt')
+    .lean()
+    .cursor();
+
+  const result = { backfilled: 0 };
+
+  for await (const report of reports) {
+    await Report.updateOne(
+      { _id: report._id },
+      {
+        $set: {
+          status: 'open',
+          statusHistory: [{ status: 'open', changedBy: report.user, changedAt: report.createdAt }]
+        }
+      }
+    );
+    result.backfilled++;
+  }
+
+  return result;
+}
@@ -0,0 +1,22 @@
+import User from '../models/User.js';
+
+export const description = 'Give the admin role to the accounts listed in ADMIN_EMAILS';
+
+// Bootstraps the first admins; after that, roles are managed via /api/admin/users
+export async function up() {
+  const emails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (emails.length === 0) {
+    return { promoted: 0, note: 'ADMIN_EMAILS is empty' };
+  }
+
+  const { modifiedCount } = await User.updateMany(
+    { email: { $in: emails }, role: { $ne: 'admin' } },
+    { $set: { role: 'admin' } }
+  );
+
+  return { promoted: modifiedCount };
+}
@@ -0,0 +1,17 @@
+import Report from '../models/Report.js';
+
+export const description = 'Compute confirmation counts and priority for reports created before confirmations';
+
+export async function up() {
+  const reports = Report.find({ priority: { $exists: false } }).cursor();
+
+  const result = { updated: 0 };
+
+  for await (const report of reports) {
+    report.recalculatePriority();
+    await report.save({ validateBeforeSave: false });
+    result.updated++;
+  }
+
+  return result;
+}
@@ -0,0 +1,56 @@
+import Report from '../models/Report.js';
+import { computeImageHash, reportHashBands } from '../services/imageHashService.js';
+import { downloadImage } from '../utils/downloadImage.js';
+
+export const description = 'Index image hashes of existing reports for image-reuse detection';
+
+const imageHashesOf = (report) => [report.imageHash, ...(report.images || []).map(item => item.imageHash)];
+
+// Options:
+//   rehash - download and hash images of reports that have no imageHash yet
+//   limit  - stop after this many downloads
+export async function up({ rehash = false, limit } = {}) {
+  const result = { indexed: 0, hashed: 0, failed: 0 };
+
+  // Multi-image reports are re-indexed even if they have bands, in case those
+  // were built from the primary photo alone
+  const withHash = Report.find({
+    $or: [
+      { imageHash: { $exists: true }, imageHashBands: null },
+      { 'images.imageHash': { $exists: true } }
+    ]
+  })
+    .select('_id imageHash images.imageHash')
+    .lean()
+    .cursor();
+
+  for await (const report of withHash) {
+    const bands = reportHashBands(imageHashesOf(report));
+    if (bands.length === 0) continue;
+    await Report.updateOne({ _id: report._id }, { $set: { imageHashBands: bands } });
+    result.indexed++;
+  }
+
+  if (!rehash) return result;
+
+  const withoutHash = Report.find({ imageHash: { $exists: false } })
+    .select('_id image images.imageHash')
+    .lean()
+    .cursor();
+  for await (const report of withoutHash) {
+    if (limit && result.hashed + result.failed >= limit) break;
+    try {
+      const imageHash = await computeImageHash(await downloadImage(report.image));
+      await Report.updateOne(
+        { _id: report._id },
+        { $set: { imageHash, imageHashBands: reportHashBands([imageHash, ...imageHashesOf(report)]) } }
+      );
+      result.hashed++;
+    } catch (error) {
+      console.error(`Hashing failed for report ${report._id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
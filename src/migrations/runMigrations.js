@@ -0,0 +1,70 @@
+import "dotenv/config"; // MUST BE FIRST IMPORT
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import Migration from "../models/Migration.js";
+
+// Usage: npm run migrate -- [--only <name>] [--force] [--reclassify] [--all] [--rehash] [--limit <n>]
+//   --only   run a single migration (file name without .js)
+//   --force  run even if it was already applied
+// Remaining flags are passed through to the migrations themselves.
+
+const migrationsDir = path.dirname(fileURLToPath(import.meta.url));
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith("--")) {
+      options[key] = isNaN(Number(next)) ? next : Number(next);
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  return options;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Migration files are numbered so lexical order is execution order
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  await connectDB();
+
+  const applied = new Set((await Migration.find().select("name").lean()).map(m => m.name));
+
+  for (const file of files) {
+    const name = path.basename(file, ".js");
+    if (options.only && options.only !== name) continue;
+    if (applied.has(name) && !options.force) {
+      console.log(`Skipping ${name} (already applied)`);
+      continue;
+    }
+
+    const migration = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+    console.log(`Running ${name}: ${migration.description || ""}`);
+
+    const result = await migration.up(options);
+    await Migration.findOneAndUpdate(
+      { name },
+      { name, appliedAt: new Date(), result },
+      { upsert: true }
+    );
+    console.log(`Finished ${name}:`, result);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Key given to a partner (e.g. a municipality) for read-only data exports.
+// Only a SHA-256 hash of the key is stored; the key itself is shown once on creation.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Shared classification results keyed by image hash, expired by a TTL index
+const classificationCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: parseInt(process.env.CLASSIFICATION_CACHE_TTL_SECONDS) || 24 * 60 * 60
+  }
+});
+
+const ClassificationCache = mongoose.model("ClassificationCache", classificationCacheSchema);
+
+export default ClassificationCache;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Queue entry for classifying a report in the background (see automation/classificationWorker.js)
+const classificationJobSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report",
+    required: true
+  },
+  imageUrl: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may run; pushed back after each failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+classificationJobSchema.index({ status: 1, runAt: 1 });
+classificationJobSchema.index({ report: 1 });
+// Finished jobs are only useful for a while
+classificationJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+const ClassificationJob = mongoose.model("ClassificationJob", classificationJobSchema);
+
+export default ClassificationJob;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const commentSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report",
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Comment being replied to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: [1000, "Comment cannot be longer than 1000 characters."]
+  },
+  // pending_review comments are only shown to their author until a moderator approves them
+  status: {
+    type: String,
+    enum: ["visible", "pending_review", "removed"],
+    default: "visible"
+  },
+  moderationReasons: {
+    type: [String],
+    default: undefined
+  },
+  // Deleted comments with replies keep their place in the thread without their text
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ report: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+export const HOTSPOT_STATUSES = ['active', 'escalated', 'resolved'];
+
+// A chronic dump site: a dense cluster of reports that keeps coming back over
+// several weeks. Found by the scheduled job in automation/hotspotDetection.js.
+const hotspotSchema = new mongoose.Schema({
+  // Centroid of the clustered reports
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Distance from the centroid to the furthest report, in metres
+  radius: {
+    type: Number,
+    default: 0
+  },
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report"
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  typeCounts: {
+    standard: { type: Number, default: 0 },
+    hazardous: { type: Number, default: 0 },
+    large: { type: Number, default: 0 }
+  },
+  // Number of distinct weeks with at least one report
+  weeksActive: {
+    type: Number,
+    default: 0
+  },
+  firstReportAt: Date,
+  lastReportAt: Date,
+  lastDetectedAt: Date,
+  status: {
+    type: String,
+    enum: HOTSPOT_STATUSES,
+    default: 'active'
+  },
+  // Hand-off to the municipality or another authority
+  escalation: {
+    authority: {
+      type: String,
+      trim: true,
+      maxLength: 200
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxLength: 1000
+    },
+    escalatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    escalatedAt: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+hotspotSchema.index({ location: '2dsphere' });
+hotspotSchema.index({ status: 1, reportCount: -1 });
+
+const Hotspot = mongoose.model("Hotspot", hotspotSchema);
+
+export default Hotspot;
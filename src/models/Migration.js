@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// One document per applied migration so each runs only once per database
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+});
+
+const Migration = mongoose.model("Migration", migrationSchema);
+
+export default Migration;
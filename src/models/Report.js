@@ -1,4 +1,214 @@
   import mongoose from "mongoose";
+  import { reportHashBands } from "../services/imageHashService.js";
+
+  // Lifecycle of a report, from submission to verified cleanup.
+  // pending_verification and rejected are only used while async classification runs.
+  export const REPORT_STATUSES = [
+    'pending_verification', 'open', 'acknowledged', 'in_progress', 'cleaned', 'verified', 'rejected'
+  ];
+
+  export const REPORT_TYPES = ['standard', 'hazardous', 'large'];
+
+  // Left out of report responses for anyone but moderators and admins: who
+  // flagged a report, what moderators noted, and the photo-trust and fraud
+  // findings (showing those would tell a point farmer which check to dodge)
+  export const STAFF_ONLY_FIELDS = [
+    'flags', 'moderation', 'fraudFlags', 'photoCheck', 'trustScore', 'confirmations.trustScore'
+  ];
+
+  // Statuses kept out of the public feed
+  export const HIDDEN_STATUSES = ['pending_verification', 'rejected'];
+
+  // Allowed manual moves from each status (reopening is allowed until a cleanup is verified).
+  // Leaving pending_verification is up to the classification worker.
+  export const STATUS_TRANSITIONS = {
+    pending_verification: [],
+    open: ['acknowledged', 'in_progress', 'cleaned'],
+    acknowledged: ['open', 'in_progress', 'cleaned'],
+    in_progress: ['acknowledged', 'cleaned'],
+    cleaned: ['in_progress', 'verified'],
+    verified: [],
+    rejected: []
+  };
+
+  // Owners can edit their report until someone starts acting on it
+  export const EDITABLE_STATUSES = ['pending_verification', 'open'];
+
+  const statusHistorySchema = new mongoose.Schema({
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: 500
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }, { _id: false });
+
+  // One box found by the classifier; coordinates are fractions (0-1) of the image size
+  const detectionSchema = new mongoose.Schema({
+    class: Number,
+    name: String,
+    confidence: Number,
+    box: {
+      x1: Number,
+      y1: Number,
+      x2: Number,
+      y2: Number
+    }
+  }, { _id: false });
+
+  // Outcome of the waste classifier at the time the report was processed
+  const aiVerificationSchema = new mongoose.Schema({
+    isWaste: Boolean,
+    confidence: Number,
+    verification: {
+      type: String,
+      enum: ['high_confidence', 'medium_confidence', 'unverified', 'skipped', 'unknown']
+    },
+    modelVersion: String,
+    // Which of the report's images the verdict and detections come from (unset = the primary image)
+    imageIndex: Number,
+    // True when the user bypassed classification when submitting
+    forceSubmit: {
+      type: Boolean,
+      default: false
+    },
+    detections: {
+      type: [detectionSchema],
+      default: undefined
+    },
+    // Where this result came from: live submission or a migration
+    source: {
+      type: String,
+      enum: ['submission', 'backfill', 'reclassification'],
+      default: 'submission'
+    },
+    classifiedAt: Date
+  }, { _id: false });
+
+  // One photo of a multi-image report; the first one is also stored as image/publicId
+  const reportImageSchema = new mongoose.Schema({
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    // Storage driver that holds publicId (see lib/storage); unset means Cloudinary
+    storageDriver: String,
+    imageHash: String,
+    classification: {
+      isWaste: Boolean,
+      confidence: Number,
+      verification: String
+    }
+  }, { _id: false });
+
+  const flagSchema = new mongoose.Schema({
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }, { _id: false });
+
+  // Another user vouching that the pile is still there (or has gone)
+  const confirmationSchema = new mongoose.Schema({
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    stillThere: {
+      type: Boolean,
+      default: true
+    },
+    // Optional geotagged photo, accepted only if taken close to the report
+    image: String,
+    publicId: String,
+    storageDriver: String,
+    // Where the confirmer says they are; distance is from the report in metres
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    distance: Number,
+    // From the photo's own EXIF GPS, when it has one
+    photoDistance: Number,
+    trustScore: Number,
+    pointsAwarded: {
+      type: Number,
+      default: 0
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }, { _id: false });
+
+  const fraudFlagSchema = new mongoose.Schema({
+    type: {
+      type: String,
+      enum: ['image_reuse', 'impossible_travel'],
+      required: true
+    },
+    // The earlier report whose photo or position this one conflicts with
+    matchedReport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report"
+    },
+    sameUser: Boolean,
+    hashDistance: Number,
+    distanceKm: Number,
+    speedKmh: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }, { _id: false });
+
+  // One owner edit; values are the old and new text (or image URL)
+  const editHistorySchema = new mongoose.Schema({
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: String,
+      to: String
+    }]
+  }, { _id: false });
 
   const reportSchema = new mongoose.Schema({
     title: {
@@ -14,6 +224,14 @@
     type: String,
     required: true // Make this required
   },
+    // Storage driver that holds publicId (see lib/storage); unset means Cloudinary
+    storageDriver: String,
+    // Every photo of the report, primary first. Unset on reports from before
+    // multi-image support; use getImages() to read either kind.
+    images: {
+      type: [reportImageSchema],
+      default: undefined
+    },
     details: {
       type: String,
       required: true,
@@ -50,15 +268,218 @@
     },
     reportType: {
       type: String,
-      enum: ['standard', 'hazardous', 'large'],
+      enum: REPORT_TYPES,
       default: 'standard'
     },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: 'open'
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: []
+    },
+    // Points credited to the reporter; unset on reports that predate this field
+    pointsAwarded: {
+      type: Number
+    },
+    aiVerification: {
+      type: aiVerificationSchema
+    },
+    // Set when a report needs a human decision (see services/moderationService.js)
+    moderation: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reasons: {
+        type: [String],
+        default: undefined
+      },
+      requestedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      reviewedAt: Date,
+      note: {
+        type: String,
+        trim: true,
+        maxLength: 500
+      }
+    },
+    // Users reporting a problem with this report (fake, wrong place, offensive...)
+    flags: {
+      type: [flagSchema],
+      default: []
+    },
+    // Perceptual hash of the submitted photo, used for duplicate detection
+    imageHash: {
+      type: String
+    },
+    // Derived from the hashes of all photos for indexed near-duplicate lookups
+    // (see services/imageHashService.js)
+    imageHashBands: {
+      type: [String],
+      default: undefined,
+      select: false
+    },
+    // Signs of point farming found at submission (see services/fraudDetectionService.js)
+    fraudFlags: {
+      type: [fraudFlagSchema],
+      default: undefined
+    },
+    // "After" photo proving the dump was cleaned, paired with the original photo
+    cleanup: {
+      beforeImage: String,
+      image: String,
+      publicId: String,
+      storageDriver: String,
+      cleanedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      cleanedAt: Date,
+      note: {
+        type: String,
+        trim: true,
+        maxLength: 500
+      },
+      classification: {
+        isWaste: Boolean,
+        confidence: Number
+      },
+      pointsAwarded: Number
+    },
+    // Users who confirmed this report instead of submitting a duplicate
+    confirmations: {
+      type: [confirmationSchema],
+      default: []
+    },
+    // Denormalised from confirmations for the feed
+    confirmationCount: {
+      type: Number,
+      default: 0
+    },
+    goneCount: {
+      type: Number,
+      default: 0
+    },
+    // Higher means more urgent; see recalculatePriority
+    priority: {
+      type: Number,
+      default: 0
+    },
+    editHistory: {
+      type: [editHistorySchema],
+      default: []
+    },
+    // How far the photo's EXIF backs up the submitted time and place (1 = fully);
+    // unset on reports submitted before photo checks existed
+    trustScore: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    photoCheck: {
+      hasExif: Boolean,
+      camera: String,
+      capturedAt: Date,
+      // Metres between the EXIF position and the reported location; the EXIF position itself is not stored
+      gpsDistance: Number,
+      flags: {
+        type: [String],
+        default: undefined
+      },
+      checkedAt: Date
+    },
   }, {
     timestamps: true
   });
 
+  // Record the initial status so the history always starts at submission,
+  // and give new reports their starting priority
+  reportSchema.pre("save", function(next) {
+    if (this.isNew) {
+      if (this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, changedBy: this.user });
+      }
+      this.recalculatePriority();
+    }
+    if (this.isModified('imageHash') || this.isModified('images')) {
+      const bands = reportHashBands(this.getImageHashes());
+      this.imageHashBands = bands.length > 0 ? bands : undefined;
+    }
+    next();
+  });
+
+  reportSchema.methods.canTransitionTo = function(newStatus) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+  };
+
+  // Move the report to a new status and append the change to its history
+  reportSchema.methods.changeStatus = function(newStatus, userId, reason) {
+    this.status = newStatus;
+    this.statusHistory.push({
+      status: newStatus,
+      changedBy: userId,
+      reason: reason ? reason.trim() : undefined,
+      changedAt: new Date()
+    });
+  };
+
+  // Hold the report out of the feed until a moderator decides on it
+  reportSchema.methods.requestModeration = function(reason) {
+    // A new request after an earlier decision starts a fresh review
+    const stillPending = this.moderation?.status === 'pending';
+    const reasons = new Set(stillPending ? this.moderation.reasons : []);
+    reasons.add(reason);
+    this.moderation = {
+      status: 'pending',
+      reasons: [...reasons],
+      requestedAt: stillPending ? this.moderation.requestedAt : new Date()
+    };
+  };
+
+  // All photos of the report, falling back to the single image of older reports
+  reportSchema.methods.getImages = function() {
+    if (this.images?.length) return this.images;
+    return [{ url: this.image, publicId: this.publicId, storageDriver: this.storageDriver, imageHash: this.imageHash }];
+  };
+
+  // Hashes of every photo: the primary imageHash plus each images[] entry
+  reportSchema.methods.getImageHashes = function() {
+    return [...new Set([this.imageHash, ...(this.images || []).map(item => item.imageHash)].filter(Boolean))];
+  };
+
+  const TYPE_PRIORITY = { standard: 10, large: 20, hazardous: 30 };
+
+  // Report type sets the base; each "still there" raises it and each "gone" lowers it
+  reportSchema.methods.recalculatePriority = function() {
+    this.confirmationCount = this.confirmations.filter(c => c.stillThere).length;
+    this.goneCount = this.confirmations.length - this.confirmationCount;
+    const base = TYPE_PRIORITY[this.reportType] || TYPE_PRIORITY.standard;
+    this.priority = Math.max(0, base + this.confirmationCount * 2 - this.goneCount * 3);
+    return this.priority;
+  };
+
   // Create geospatial index
   reportSchema.index({ location: '2dsphere' });
+  reportSchema.index({ status: 1, createdAt: -1 });
+  reportSchema.index({ priority: -1, createdAt: -1, _id: -1 });
+  // Keyset pagination of the feed (see utils/cursorPagination.js)
+  reportSchema.index({ createdAt: -1, _id: -1 });
+  reportSchema.index(
+    { title: 'text', details: 'text', address: 'text' },
+    { name: 'report_text_search', weights: { title: 5, address: 3, details: 1 } }
+  );
+  reportSchema.index({ 'confirmations.user': 1 });
+  reportSchema.index({ 'aiVerification.forceSubmit': 1 });
+  reportSchema.index({ 'moderation.status': 1, 'moderation.requestedAt': 1 });
+  reportSchema.index({ trustScore: 1 });
+  reportSchema.index({ imageHashBands: 1 });
+  reportSchema.index({ user: 1, createdAt: -1 });
 
   const Report = mongoose.model('Report', reportSchema);
 
@@ -3,6 +3,10 @@ import bcrypt from 'bcryptjs';
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 
+// user: reports and cleans up; crew: works on reports in the field;
+// moderator: reviews reports; admin: everything, including roles and policies
+export const USER_ROLES = ["user", "crew", "moderator", "admin"];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -53,6 +57,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   }, 
+  cleanupCount: {
+    type: Number,
+    default: 0
+  },
   resendCount: {
     type: Number,
     default: 0,
@@ -62,6 +70,25 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: "user"
+  },
+  // Confirmed fraud (moderator rejected a fraud-flagged report); enough of them suspends the account
+  fraudStrikes: {
+    type: Number,
+    default: 0
+  },
+  suspension: {
+    suspendedAt: Date,
+    reason: String,
+    // Unset when the suspension was automatic
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }
+  },
   // NEW SECURITY FIELDS
   resetPasswordVerified: {
     type: Boolean,
@@ -113,7 +140,8 @@ userSchema.methods.generateToken = function() {
     { 
       userId: this._id,
       verified: this.accountVerified,
-      tokenVersion: this.tokenVersion
+      tokenVersion: this.tokenVersion,
+      role: this.role
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE }
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { REPORT_TYPES } from "./Report.js";
+
+// Admin overrides of the classifier thresholds for one report type.
+// Types without a document use DEFAULT_POLICIES in services/verificationPolicy.js.
+const verificationPolicySchema = new mongoose.Schema({
+  reportType: {
+    type: String,
+    enum: REPORT_TYPES,
+    required: true,
+    unique: true
+  },
+  // Below this the image is treated as non-waste
+  wasteThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  mediumConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  highConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  // At or above this the report is published automatically
+  acceptConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  // Between this and acceptConfidence the report goes to human review; below it is rejected
+  reviewConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true
+});
+
+const VerificationPolicy = mongoose.model("VerificationPolicy", verificationPolicySchema);
+
+export default VerificationPolicy;
@@ -0,0 +1,646 @@
+import express from 'express';
+import VerificationPolicy from '../models/VerificationPolicy.js';
+import Report, { REPORT_TYPES } from '../models/Report.js';
+import User, { USER_ROLES } from '../models/User.js';
+import Comment from '../models/Comment.js';
+import ApiKey from '../models/ApiKey.js';
+import Hotspot, { HOTSPOT_STATUSES } from '../models/Hotspot.js';
+import { isAuthenticated, authorize } from '../middleware/auth.js';
+import {
+  DEFAULT_POLICIES,
+  POLICY_FIELDS,
+  getAllVerificationPolicies,
+  getVerificationPolicy,
+  invalidatePolicyCache,
+  validatePolicy
+} from '../services/verificationPolicy.js';
+import {
+  MODERATION_REASONS,
+  approveReport,
+  rejectReport,
+  changeReportType
+} from '../services/moderationService.js';
+import { notifyReportAuthor } from '../services/commentService.js';
+import { createApiKey } from '../services/apiKeyService.js';
+import { detectHotspots } from '../services/hotspotService.js';
+
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+// Effective thresholds for every report type (defaults merged with overrides)
+router.get('/verification-policies', authorize('admin'), async (req, res) => {
+  try {
+    const policies = await getAllVerificationPolicies();
+    res.json({ policies, defaults: DEFAULT_POLICIES });
+  } catch (error) {
+    console.error('Error fetching verification policies:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Update some or all thresholds for one report type
+router.put('/verification-policies/:reportType', authorize('admin'), async (req, res) => {
+  try {
+    const { reportType } = req.params;
+    if (!DEFAULT_POLICIES[reportType]) {
+      return res.status(400).json({
+        message: 'Invalid report type',
+        code: 'INVALID_REPORT_TYPE',
+        validReportTypes: REPORT_TYPES
+      });
+    }
+
+    const current = await getVerificationPolicy(reportType);
+    const updates = {};
+    for (const field of POLICY_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = Number(req.body[field]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        message: `Provide at least one of: ${POLICY_FIELDS.join(', ')}`,
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const policy = { ...current, ...updates };
+    const validationError = validatePolicy(policy);
+    if (validationError) {
+      return res.status(400).json({
+        message: validationError,
+        code: 'INVALID_POLICY'
+      });
+    }
+
+    const fields = Object.fromEntries(POLICY_FIELDS.map(field => [field, policy[field]]));
+    await VerificationPolicy.findOneAndUpdate(
+      { reportType },
+      { ...fields, reportType, updatedBy: req.user._id },
+      { upsert: true, runValidators: true }
+    );
+    invalidatePolicyCache();
+
+    res.json({
+      message: 'Verification policy updated',
+      policy: await getVerificationPolicy(reportType)
+    });
+  } catch (error) {
+    console.error('Error updating verification policy:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Drop the override so the report type falls back to the built-in defaults
+router.delete('/verification-policies/:reportType', authorize('admin'), async (req, res) => {
+  try {
+    await VerificationPolicy.deleteOne({ reportType: req.params.reportType });
+    invalidatePolicyCache();
+
+    res.json({
+      message: 'Verification policy reset to defaults',
+      policy: await getVerificationPolicy(req.params.reportType)
+    });
+  } catch (error) {
+    console.error('Error resetting verification policy:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Reports waiting for a moderator, oldest first
+router.get('/moderation', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { reason } = req.query;
+
+    if (reason && !MODERATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: 'Invalid moderation reason',
+        code: 'INVALID_REASON',
+        validReasons: MODERATION_REASONS
+      });
+    }
+
+    const filter = { 'moderation.status': 'pending' };
+    if (reason) filter['moderation.reasons'] = reason;
+
+    const reports = await Report.find(filter)
+      .sort({ 'moderation.requestedAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "username profileImage email")
+      .populate("flags.user", "username");
+
+    const totalReports = await Report.countDocuments(filter);
+
+    res.json({
+      reports,
+      currentPage: page,
+      totalReports,
+      totalPages: Math.ceil(totalReports / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Comments held back by the content filter, oldest first
+router.get('/moderation/comments', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { status: 'pending_review' };
+
+    const comments = await Comment.find(filter)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("author", "username profileImage email")
+      .populate("report", "title image");
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.json({
+      comments,
+      currentPage: page,
+      totalComments,
+      totalPages: Math.ceil(totalComments / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching comment moderation queue:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Approve (publish) or remove a comment; :action is "approve" or "remove"
+router.post('/moderation/comments/:id/:action', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['approve', 'remove'].includes(action)) {
+      return res.status(404).json({ message: 'Unknown moderation action' });
+    }
+
+    const comment = await Comment.findById(req.params.id)
+      .populate("author", "username")
+      .populate("report", "user title");
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const wasVisible = comment.status === 'visible';
+    comment.status = action === 'approve' ? 'visible' : 'removed';
+    await comment.save();
+
+    // The report author was not told about the comment while it was held
+    if (action === 'approve' && !wasVisible && comment.report && comment.author) {
+      notifyReportAuthor(comment.report, comment, comment.author);
+    }
+
+    res.json({
+      message: action === 'approve' ? 'Comment approved' : 'Comment removed',
+      comment
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid comment id' });
+    }
+    console.error('Error moderating comment:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Loads a report that is waiting for review, or sends the error response
+const findPendingReport = async (req, res) => {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    res.status(404).json({ message: 'Report not found' });
+    return null;
+  }
+  if (report.moderation?.status !== 'pending') {
+    res.status(409).json({
+      message: 'Report is not awaiting moderation',
+      code: 'NOT_PENDING_MODERATION'
+    });
+    return null;
+  }
+  return report;
+};
+
+router.post('/moderation/:id/approve', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const { note, reportType } = req.body;
+    if (reportType !== undefined && !REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({
+        message: 'Invalid report type',
+        code: 'INVALID_REPORT_TYPE',
+        validReportTypes: REPORT_TYPES
+      });
+    }
+
+    const report = await findPendingReport(req, res);
+    if (!report) return;
+
+    const { pointsEarned } = await approveReport(report, req.user._id, {
+      note: typeof note === 'string' ? note : undefined,
+      reportType
+    });
+
+    res.json({ message: 'Report approved', report, pointsEarned });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report id' });
+    }
+    console.error('Error approving report:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+router.post('/moderation/:id/reject', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        message: 'A rejection reason is required',
+        code: 'MISSING_FIELDS',
+        missingFields: ['reason']
+      });
+    }
+
+    const report = await findPendingReport(req, res);
+    if (!report) return;
+
+    const { pointsRevoked } = await rejectReport(report, req.user._id, reason.trim());
+
+    res.json({ message: 'Report rejected', report, pointsRevoked });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report id' });
+    }
+    console.error('Error rejecting report:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Correct the report type while it is in review (points follow the new type)
+router.patch('/moderation/:id/report-type', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const { reportType } = req.body;
+    if (!REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({
+        message: 'Invalid report type',
+        code: 'INVALID_REPORT_TYPE',
+        validReportTypes: REPORT_TYPES
+      });
+    }
+
+    const report = await findPendingReport(req, res);
+    if (!report) return;
+
+    await changeReportType(report, reportType);
+    await report.save();
+
+    res.json({ message: 'Report type updated', report });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report id' });
+    }
+    console.error('Error changing report type:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// List users, optionally by role
+router.get('/users', authorize('admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { role } = req.query;
+
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Invalid role',
+        code: 'INVALID_ROLE',
+        validRoles: USER_ROLES
+      });
+    }
+
+    const filter = { accountVerified: true };
+    if (role) filter.role = role;
+    if (req.query.suspended === 'true') filter['suspension.suspendedAt'] = { $exists: true };
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('username email profileImage role reportCount points fraudStrikes suspension createdAt')
+      .lean();
+
+    const totalUsers = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      currentPage: page,
+      totalUsers,
+      totalPages: Math.ceil(totalUsers / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Promote or demote a user
+router.patch('/users/:id/role', authorize('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: 'Invalid role',
+        code: 'INVALID_ROLE',
+        validRoles: USER_ROLES
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(409).json({
+          message: 'Cannot demote the last admin',
+          code: 'LAST_ADMIN'
+        });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`Role of ${user.email} changed from ${previousRole} to ${role} by ${req.user.email}`);
+
+    res.json({
+      message: 'User role updated',
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    console.error('Error updating user role:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Suspend a user, or lift a suspension (which also clears their fraud strikes)
+router.patch('/users/:id/suspension', authorize('admin'), async (req, res) => {
+  try {
+    const { suspended, reason } = req.body;
+    if (typeof suspended !== 'boolean') {
+      return res.status(400).json({
+        message: 'suspended must be true or false',
+        code: 'INVALID_SUSPENSION'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (suspended && user._id.equals(req.user._id)) {
+      return res.status(409).json({ message: 'You cannot suspend yourself', code: 'SELF_SUSPENSION' });
+    }
+
+    if (suspended) {
+      user.suspension = {
+        suspendedAt: new Date(),
+        reason: reason || 'Suspended by an administrator',
+        suspendedBy: req.user._id
+      };
+    } else {
+      user.suspension = undefined;
+      user.fraudStrikes = 0;
+    }
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`User ${user.email} ${suspended ? 'suspended' : 'unsuspended'} by ${req.user.email}`);
+
+    res.json({
+      message: suspended ? 'User suspended' : 'Suspension lifted',
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        fraudStrikes: user.fraudStrikes,
+        suspension: user.suspension
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    console.error('Error updating suspension:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Chronic dump sites, biggest first
+router.get('/hotspots', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status } = req.query;
+
+    if (status && !HOTSPOT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid hotspot status',
+        code: 'INVALID_STATUS',
+        validStatuses: HOTSPOT_STATUSES
+      });
+    }
+
+    const filter = status ? { status } : { status: { $ne: 'resolved' } };
+    const hotspots = await Hotspot.find(filter)
+      .sort({ reportCount: -1, lastReportAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-reports')
+      .lean();
+
+    const totalHotspots = await Hotspot.countDocuments(filter);
+
+    res.json({
+      hotspots,
+      currentPage: page,
+      totalHotspots,
+      totalPages: Math.ceil(totalHotspots / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching hotspots:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+router.get('/hotspots/:id', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const hotspot = await Hotspot.findById(req.params.id)
+      .populate('reports', 'title image address status reportType createdAt')
+      .populate('escalation.escalatedBy', 'username email')
+      .populate('resolvedBy', 'username email');
+    if (!hotspot) {
+      return res.status(404).json({ message: 'Hotspot not found' });
+    }
+    res.json({ hotspot });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid hotspot id' });
+    }
+    console.error('Error fetching hotspot:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Escalate a hotspot to an authority, mark it resolved, or reopen it
+router.patch('/hotspots/:id/status', authorize('moderator', 'admin'), async (req, res) => {
+  try {
+    const { status, authority, note } = req.body;
+    if (!HOTSPOT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid hotspot status',
+        code: 'INVALID_STATUS',
+        validStatuses: HOTSPOT_STATUSES
+      });
+    }
+    if (status === 'escalated' && !authority) {
+      return res.status(400).json({
+        message: 'authority is required when escalating',
+        code: 'MISSING_AUTHORITY'
+      });
+    }
+
+    const hotspot = await Hotspot.findById(req.params.id);
+    if (!hotspot) {
+      return res.status(404).json({ message: 'Hotspot not found' });
+    }
+
+    hotspot.status = status;
+    if (status === 'escalated') {
+      hotspot.escalation = {
+        authority,
+        note,
+        escalatedBy: req.user._id,
+        escalatedAt: new Date()
+      };
+    }
+    if (status === 'resolved') {
+      hotspot.resolvedBy = req.user._id;
+      hotspot.resolvedAt = new Date();
+    } else {
+      hotspot.resolvedBy = undefined;
+      hotspot.resolvedAt = undefined;
+    }
+    await hotspot.save();
+
+    res.json({ message: `Hotspot marked ${status}`, hotspot });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid hotspot id' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating hotspot:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Run detection now instead of waiting for the nightly job
+router.post('/hotspots/detect', authorize('admin'), async (req, res) => {
+  try {
+    const result = await detectHotspots();
+    res.json({ message: 'Hotspot detection finished', ...result });
+  } catch (error) {
+    console.error('Error detecting hotspots:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+// Partner API keys (used for report exports)
+router.get('/api-keys', authorize('admin'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'username email')
+      .lean();
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+router.post('/api-keys', authorize('admin'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        message: 'A name of 1-100 characters is required',
+        code: 'INVALID_NAME'
+      });
+    }
+
+    const { key, apiKey } = await createApiKey(name, req.user._id);
+    console.log(`API key ${apiKey.prefix} (${name}) created by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key,
+      apiKey: {
+        _id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        createdAt: apiKey.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+router.delete('/api-keys/:id', authorize('admin'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(409).json({ message: 'API key is already revoked', code: 'ALREADY_REVOKED' });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    console.log(`API key ${apiKey.prefix} revoked by ${req.user.email}`);
+
+    res.json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid API key id' });
+    }
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,206 @@
+import express from 'express';
+import Comment from "../models/Comment.js";
+import Report from "../models/Report.js";
+import { isAuthenticated } from "../middleware/auth.js";
+import { checkContent } from "../utils/contentFilter.js";
+import { notifyReportAuthor } from "../services/commentService.js";
+
+// Mounted under /api/report/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const MAX_THREAD_DEPTH = 3;
+const MAX_COMMENTS_PER_MINUTE = 5;
+const MAX_COMMENTS_PER_REPORT = 1000;
+
+const isModerator = (user) => ['moderator', 'admin'].includes(user.role);
+
+// Threaded comments for a report: top-level comments with nested `replies`
+router.get("/", isAuthenticated, async (req, res) => {
+  try {
+    const report = await Report.exists({ _id: req.params.id });
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    // Comments awaiting review are only visible to their author (and moderators)
+    const filter = { report: req.params.id, status: { $ne: 'removed' } };
+    if (!isModerator(req.user)) {
+      filter.$or = [{ status: 'visible' }, { author: req.user._id }];
+    }
+
+    const comments = await Comment.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(MAX_COMMENTS_PER_REPORT)
+      .populate("author", "username profileImage")
+      .lean();
+
+    const byId = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+    const thread = [];
+    for (const comment of byId.values()) {
+      if (comment.deleted) {
+        comment.body = '[deleted]';
+        comment.author = null;
+      }
+      const parent = comment.parent && byId.get(comment.parent.toString());
+      if (parent) {
+        parent.replies.push(comment);
+      } else {
+        thread.push(comment);
+      }
+    }
+
+    res.json({ comments: thread, totalComments: comments.length });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.log("Error in getting comments:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+router.post("/", isAuthenticated, async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        message: 'Missing required fields: body',
+        code: 'MISSING_FIELDS',
+        missingFields: ['body']
+      });
+    }
+
+    const report = await Report.findById(req.params.id).select('user title');
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (parentId) {
+      const parent = await Comment.findById(parentId).select('report parent status');
+      if (!parent || parent.report.toString() !== report._id.toString() || parent.status === 'removed') {
+        return res.status(400).json({
+          message: 'Parent comment not found on this report',
+          code: 'INVALID_PARENT'
+        });
+      }
+
+      let depth = 1;
+      let ancestor = parent;
+      while (ancestor.parent && depth < MAX_THREAD_DEPTH) {
+        ancestor = await Comment.findById(ancestor.parent).select('parent');
+        if (!ancestor) break;
+        depth++;
+      }
+      if (depth >= MAX_THREAD_DEPTH) {
+        return res.status(400).json({
+          message: `Replies can only be nested ${MAX_THREAD_DEPTH} levels deep`,
+          code: 'THREAD_TOO_DEEP'
+        });
+      }
+    }
+
+    // Spam: too many comments in a short time, or the same text again
+    const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+    const recentCount = await Comment.countDocuments({
+      author: req.user._id,
+      createdAt: { $gt: oneMinuteAgo }
+    });
+    if (recentCount >= MAX_COMMENTS_PER_MINUTE) {
+      return res.status(429).json({
+        message: 'You are commenting too fast. Please wait a moment.',
+        code: 'COMMENT_RATE_LIMITED'
+      });
+    }
+
+    const text = body.trim();
+    const isRepeat = await Comment.exists({
+      author: req.user._id,
+      body: text,
+      createdAt: { $gt: new Date(Date.now() - 10 * 60 * 1000) }
+    });
+    if (isRepeat) {
+      return res.status(400).json({
+        message: 'You already posted this comment',
+        code: 'DUPLICATE_COMMENT'
+      });
+    }
+
+    const check = checkContent(text);
+    if (check.action === 'block') {
+      return res.status(400).json({
+        message: 'Comment contains inappropriate language',
+        code: 'COMMENT_REJECTED',
+        reasons: check.reasons
+      });
+    }
+
+    const comment = await Comment.create({
+      report: report._id,
+      author: req.user._id,
+      parent: parentId || null,
+      body: text,
+      status: check.action === 'review' ? 'pending_review' : 'visible',
+      moderationReasons: check.reasons.length > 0 ? check.reasons : undefined
+    });
+    await comment.populate("author", "username profileImage");
+
+    if (comment.status === 'visible') {
+      notifyReportAuthor(report, comment, req.user);
+    }
+
+    res.status(201).json({
+      message: comment.status === 'visible'
+        ? 'Comment posted'
+        : 'Comment submitted and awaiting moderator review',
+      comment
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid ${error.path}` });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        error: error.message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    console.log("Error in posting comment:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Authors can delete their own comments; moderators can delete any
+router.delete("/:commentId", isAuthenticated, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, report: req.params.id });
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString() && !isModerator(req.user)) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    // Keep the thread intact if someone already replied
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+      comment.deleted = true;
+      comment.body = '[deleted]';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
+
+    res.json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid comment id" });
+    }
+    console.error("Delete Comment Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+export default router;
@@ -1,105 +1,200 @@
 import express from 'express';
-import Report from "../models/Report.js";
-import User from "../models/User.js";
-import cloudinary from '../lib/cloudinary.js';
-import { isAuthenticated } from "../middleware/auth.js";
-import classifyImage from '../services/classificationService.js';
+import Report, { REPORT_STATUSES, HIDDEN_STATUSES, STATUS_TRANSITIONS, EDITABLE_STATUSES } from "../models/Report.js";
+import ClassificationJob from "../models/ClassificationJob.js";
+import Comment from "../models/Comment.js";
+import commentRoutes from "./commentRoutes.js";
+import { isAuthenticated, authorize, apiKeyOrRoles } from "../middleware/auth.js";
+import { multipartUpload } from "../middleware/multipartUpload.js";
+import classifyImage, { aggregateClassifications } from '../services/classificationService.js';
+import { getClassificationCacheStats } from '../services/classificationCache.js';
+import { uploadImage, uploadImages, destroyImage, getImageUrl } from '../services/imageUploadService.js';
+import { IMAGE_VARIANTS, isVariant } from '../lib/storage/variants.js';
+import { renderAnnotatedImage } from '../services/annotationService.js';
+import { evaluateClassification, toAiVerification } from '../services/verificationPolicy.js';
+import { enqueueClassification } from '../services/classificationQueue.js';
+import {
+  getCleanupPoints,
+  awardReportPoints,
+  revokeReportPoints,
+  awardCleanupPoints,
+  revokeCleanupPoints
+} from '../services/pointsService.js';
+import { downloadImage } from '../utils/downloadImage.js';
+import { toImageSource } from '../utils/imageSource.js';
+import { computeImageHash } from '../services/imageHashService.js';
+import { readPhotoMetadata, assessPhotoTrust, REVIEW_TRUST_SCORE } from '../services/photoTrustService.js';
+import { assessSubmissionFraud, findImageReuse } from '../services/fraudDetectionService.js';
+import { findDuplicateReports } from '../services/duplicateDetectionService.js';
+import { EXPORT_FORMATS, streamReportExport } from '../services/reportExportService.js';
+import { aggregateHeatmap } from '../services/heatmapService.js';
+import { addConfirmation, ConfirmationError } from '../services/confirmationService.js';
+import { parseCoordinates, parseBbox, bboxToPolygon, bboxCenter } from '../utils/geo.js';
+import {
+  parseStatusFilter,
+  parseReportFeedQuery,
+  canSeeHiddenReports,
+  reportProjection,
+  serializeReport
+} from '../utils/reportQuery.js';
+import { checkBase64Image, validateReportInput, MAX_IMAGE_BYTES, MAX_REPORT_IMAGES } from '../utils/reportValidation.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, withTieBreaker } from '../utils/cursorPagination.js';
+import { LRUCache } from '../lib/lruCache.js';
 
 const router = express.Router();
 
-router.post('/', isAuthenticated, async (req, res) => {
+// Feed totals are cached briefly; counting a large collection on every scroll is expensive
+const countCache = new LRUCache({ max: 200, ttlMs: 60 * 1000 });
+
+const countReports = async (filter) => {
+  const key = JSON.stringify(filter);
+  const cached = countCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const count = await Report.countDocuments(filter);
+  countCache.set(key, count);
+  return count;
+};
+
+const sendUploadError = (res, uploadError) => {
+  if (uploadError.message === 'INVALID_IMAGE') {
+    return res.status(400).json({
+      message: 'Image could not be processed',
+      code: 'INVALID_IMAGE'
+    });
+  }
+  if (uploadError.message === 'CLOUDINARY_TIMEOUT') {
+    return res.status(504).json({
+      message: 'Image upload timed out',
+      code: 'CLOUDINARY_TIMEOUT'
+    });
+  }
+  return res.status(500).json({
+    message: 'Image upload failed',
+    error: uploadError.message,
+    code: 'CLOUDINARY_ERROR'
+  });
+};
+
+// Adds a confirmation (see confirmationService) and sends the response
+const confirmReport = async (reportId, user, body, res) => {
+  const report = await Report.findById(reportId);
+  if (!report) {
+    return res.status(404).json({ message: "Report not found" });
+  }
+
+  try {
+    const { confirmation, pointsEarned } = await addConfirmation(report, user, body);
+    const serialized = serializeReport(report, user);
+    return res.status(201).json({
+      message: confirmation.stillThere ? 'Report confirmed' : 'Report marked as gone',
+      report: serialized,
+      confirmation: serialized.confirmations[serialized.confirmations.length - 1],
+      pointsEarned,
+      code: 'REPORT_CONFIRMED'
+    });
+  } catch (error) {
+    if (error instanceof ConfirmationError) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.code,
+        ...error.details
+      });
+    }
+    throw error;
+  }
+};
+
+// Accepts JSON with base64 image(s), or multipart/form-data with image/images
+// file fields (streamed to disk and checked as they arrive; see multipartUpload)
+router.post('/', isAuthenticated, multipartUpload({ maxFiles: MAX_REPORT_IMAGES, maxFileSize: MAX_IMAGE_BYTES }), async (req, res) => {
   try {
     const {
-      title,
       image,
-      details,
-      address,
       latitude,
       longitude,
-      photoTimestamp,
       reportType,
-      forceSubmit
+      forceSubmit,
+      confirmReportId,
+      allowDuplicate,
+      asyncVerification
     } = req.body;
 
-    const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-    if (buffer.length > 5 * 1024 * 1024) {
-      return res.status(413).json({ 
-        message: 'Image too large (max 5MB)',
-        code: 'IMAGE_TOO_LARGE'
-      });
+    // The client chose to confirm a suspected duplicate rather than submit again
+    if (confirmReportId) {
+      const uploadedImage = req.files?.[0];
+      const imageError = !uploadedImage && image !== undefined && checkBase64Image(image);
+      if (imageError) {
+        return res.status(imageError.status).json(imageError.body);
+      }
+      return await confirmReport(confirmReportId, req.user, {
+        stillThere: true,
+        image: uploadedImage || image,
+        latitude,
+        longitude
+      }, res);
     }
 
-    const missingFields = [];
-    if (!title) missingFields.push('title');
-    if (!image) missingFields.push('image');
-    if (!details) missingFields.push('details');
-    if (!address) missingFields.push('address');
-    
-    // Check if coordinates are provided
-    if (latitude === undefined || longitude === undefined) {
-      missingFields.push('location');
+    const validation = validateReportInput(req.body, { uploads: req.files });
+    if (validation.error) {
+      return res.status(validation.error.status).json(validation.error.body);
     }
+    const { lat, lng: lon, images } = validation.values;
+    // Base64 images are decoded once; uploaded temp files are only ever read from
+    // disk (EXIF, hashing and classification take the path, uploads stream it)
+    const photos = images.map(item => (typeof item === 'string' ? toImageSource(item) : item));
 
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        message: `Missing required fields: ${missingFields.join(', ')}`,
-        code: 'MISSING_FIELDS',
-        missingFields
-      });
-    }
+    // Read EXIF from the original bytes; the uploaded copy has it stripped
+    const photoTrust = assessPhotoTrust(await readPhotoMetadata(photos[0]), {
+      photoTimestamp: validation.values.photoTimestamp,
+      lat,
+      lng: lon
+    });
 
-    // Validate coordinate format and range
-    const lat = parseFloat(latitude);
-    const lon = parseFloat(longitude);
-    
-    if (isNaN(lat) || isNaN(lon)) {
-      return res.status(400).json({
-        message: 'Invalid coordinates',
-        code: 'INVALID_COORDINATES'
-      });
-    }
-    
-    // Validate coordinate ranges
-    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-      return res.status(400).json({
-        message: 'Coordinates out of valid range',
-        code: 'INVALID_COORDINATES_RANGE',
-        details: {
-          validLatitudeRange: '[-90, 90]',
-          validLongitudeRange: '[-180, 180]',
-          received: { latitude: lat, longitude: lon }
+    // Undecodable images still go through; the duplicate check then relies on distance only
+    const imageHashes = await Promise.all(photos.map(item => computeImageHash(item).catch(hashError => {
+      console.warn('Image hash failed:', hashError.message);
+      return undefined;
+    })));
+    const imageHash = imageHashes[0];
+
+    // Submitting over a suspected duplicate is allowed, but a moderator decides
+    // whether it's a new spot before any points are paid
+    const duplicates = await findDuplicateReports({ lat, lng: lon, imageHash });
+    if (duplicates.length > 0 && !allowDuplicate) {
+      return res.status(409).json({
+        message: 'This spot looks like it has already been reported',
+        code: 'DUPLICATE_SUSPECTED',
+        existingReportId: duplicates[0].reportId,
+        duplicates,
+        options: {
+          confirm: 'Resubmit with confirmReportId to confirm the existing report',
+          submitAnyway: 'Resubmit with allowDuplicate: true to send a new report for moderator review'
         }
       });
     }
 
-    if (!/^(data:image\/\w+;base64,)?[A-Za-z0-9+/=]+$/.test(image)) {
-      return res.status(400).json({
-        message: 'Invalid image format',
-        code: 'INVALID_IMAGE_FORMAT'
-      });
-    }
+    // Reused photos (from any account) and impossible jumps between this user's
+    // reports hold the report for review instead of rejecting it outright
+    const fraudFlags = await assessSubmissionFraud({
+      userId: req.user._id,
+      imageHashes,
+      lat,
+      lng: lon
+    });
+
+    // Async mode accepts the report now and classifies it from the queue
+    const verifyAsync = !forceSubmit &&
+      (asyncVerification === true || process.env.CLASSIFICATION_MODE === 'async');
+
+    const finalReportType = reportType || 'standard';
 
     let classification;
-    if (!forceSubmit) {
+    let decision;
+    if (!forceSubmit && !verifyAsync) {
       try {
-        classification = await classifyImage(image);
-
-        if (!classification.isWaste) {
-          return res.status(400).json({
-            message: 'Image does not show recognizable waste',
-            classification,
-            code: 'NOT_WASTE'
-          });
-        }
-        
-        if (classification.confidence < 0.7) {
-          return res.status(400).json({
-            message: 'Low confidence in waste detection',
-            classification,
-            code: 'LOW_CONFIDENCE'
-          });
-        }
+        classification = aggregateClassifications(await Promise.all(
+          photos.map(item => classifyImage(item, { reportType: finalReportType }))
+        ));
       } catch (error) {
         return res.status(503).json({
           message: 'Waste verification service unavailable',
@@ -107,77 +202,119 @@ router.post('/', isAuthenticated, async (req, res) => {
           error: error.message
         });
       }
+
+      decision = await evaluateClassification(classification, finalReportType);
+      if (decision.decision === 'reject') {
+        return res.status(400).json({
+          message: decision.message,
+          classification,
+          code: decision.code
+        });
+      }
     }
 
-    let uploadResponse;
+    let uploadResponses;
     try {
-      const cloudinaryPromise = cloudinary.uploader.upload(
-        `data:image/jpeg;base64,${image}`,
-        {
-          resource_type: 'image',
-          folder: 'reports',
-          quality: 'auto',
-          format: 'jpg',
-          transformation: [{ width: 800, crop: 'limit' }, { quality: 'auto:good' }]
-        }
-      );
-      const uploadTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('CLOUDINARY_TIMEOUT')), 15000)
-      );
-      uploadResponse = await Promise.race([cloudinaryPromise, uploadTimeout]);
+      // Temp files are streamed from disk by the storage driver
+      uploadResponses = await uploadImages(photos, { folder: 'reports' });
     } catch (uploadError) {
-      if (uploadError.message === 'CLOUDINARY_TIMEOUT') {
-        return res.status(504).json({
-          message: 'Image upload timed out',
-          code: 'CLOUDINARY_TIMEOUT'
-        });
-      }
-      return res.status(500).json({
-        message: 'Image upload failed',
-        error: uploadError.message,
-        code: 'CLOUDINARY_ERROR'
-      });
+      return sendUploadError(res, uploadError);
     }
+    const [uploadResponse] = uploadResponses;
+
+    // Borderline detections, force-submitted reports, suspected duplicates and photos
+    // whose EXIF doesn't match the submission are saved but held back for a moderator
+    const reviewReasons = [];
+    if (forceSubmit) reviewReasons.push('force_submitted');
+    if (decision?.decision === 'moderate') reviewReasons.push('low_confidence');
+    if (photoTrust.trustScore < REVIEW_TRUST_SCORE) reviewReasons.push('suspicious_photo');
+    if (fraudFlags.length > 0) reviewReasons.push('suspected_fraud');
+    if (duplicates.length > 0) reviewReasons.push('possible_duplicate');
+    const needsReview = reviewReasons.length > 0;
 
-    const finalReportType = reportType || 'standard';
     const newReport = new Report({
-      title: title.trim(),
-      image: uploadResponse.secure_url,
-      publicId: uploadResponse.public_id,
-      details: details.trim(),
-      address: address.trim(),
+      title: validation.values.title,
+      image: uploadResponse.url,
+      publicId: uploadResponse.publicId,
+      storageDriver: uploadResponse.storageDriver,
+      images: uploadResponses.map((upload, index) => ({
+        url: upload.url,
+        publicId: upload.publicId,
+        storageDriver: upload.storageDriver,
+        imageHash: imageHashes[index],
+        classification: classification?.images?.[index] ||
+          (index === 0 && classification ? {
+            isWaste: classification.isWaste,
+            confidence: classification.confidence,
+            verification: classification.verification
+          } : undefined)
+      })),
+      details: validation.values.details,
+      address: validation.values.address,
       reportType: finalReportType,
       location: {
         type: 'Point',
         coordinates: [lon, lat]  // Use validated coordinates
       },
-      photoTimestamp: photoTimestamp ? new Date(photoTimestamp) : new Date(),
+      photoTimestamp: validation.values.photoTimestamp || new Date(),
       user: req.user._id,
-      aiVerification: classification ? {
-        isWaste: classification.isWaste,
-        confidence: classification.confidence,
-        verification: classification.verification
-      } : null
+      imageHash,
+      trustScore: photoTrust.trustScore,
+      photoCheck: photoTrust.photoCheck,
+      fraudFlags: fraudFlags.length > 0 ? fraudFlags : undefined,
+      status: verifyAsync || needsReview ? 'pending_verification' : 'open',
+      pointsAwarded: 0,
+      aiVerification: classification
+        ? toAiVerification(classification)
+        : forceSubmit ? { verification: 'skipped', forceSubmit: true } : undefined
     });
-    const savedReport = await newReport.save();
 
-    const pointsMap = { standard: 10, hazardous: 20, large: 15 };
-    const pointsToAdd = pointsMap[finalReportType] || 10;
-    try {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { reportCount: 1, points: pointsToAdd }
+    if (needsReview) {
+      reviewReasons.forEach(reason => newReport.requestModeration(reason));
+      const savedReport = await newReport.save();
+      // The moderator should see the classifier's verdict too
+      if (verifyAsync) await enqueueClassification(savedReport);
+
+      return res.status(202).json({
+        message: 'Report submitted for moderator review',
+        report: serializeReport(savedReport, req.user),
+        pointsEarned: 0,
+        classification,
+        ...(canSeeHiddenReports(req.user) && { photoFlags: photoTrust.flags }),
+        code: 'PENDING_REVIEW'
       });
-    } catch (updateError) {
-      // Silent fail for user points update
     }
 
+    if (verifyAsync) {
+      const savedReport = await newReport.save();
+      await enqueueClassification(savedReport);
+
+      return res.status(202).json({
+        message: 'Report accepted and awaiting verification',
+        report: serializeReport(savedReport, req.user),
+        pointsEarned: 0,
+        code: 'PENDING_VERIFICATION',
+        statusUrl: `/api/report/${savedReport._id}/verification`
+      });
+    }
+
+    const savedReport = await newReport.save();
+    const pointsToAdd = await awardReportPoints(savedReport);
+    await savedReport.save();
+
     res.status(201).json({
       message: 'Report created successfully',
-      report: savedReport,
+      report: serializeReport(savedReport, req.user),
       pointsEarned: pointsToAdd,
       classification
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: `Invalid ${error.path}`,
+        code: 'INVALID_ID'
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         message: 'Validation Error',
@@ -195,9 +332,9 @@ router.post('/', isAuthenticated, async (req, res) => {
 
 // Test classification route
 // POST endpoint for test classification
-router.post('/test-classify', isAuthenticated, async (req, res) => {
+router.post('/test-classify', isAuthenticated, authorize('admin'), async (req, res) => {
   try {
-    const { image } = req.body;
+    const { image, reportType } = req.body;
     
     if (!image) {
       return res.status(400).json({ 
@@ -207,10 +344,11 @@ router.post('/test-classify', isAuthenticated, async (req, res) => {
     }
 
     console.log('Testing classification with image');
-    const result = await classifyImage(image);
+    const result = await classifyImage(image, { reportType });
+    const decision = await evaluateClassification(result, reportType);
     console.log('Classification result:', result);
     
-    res.json(result);
+    res.json({ ...result, decision: decision.decision });
   } catch (error) {
     console.error('Test classification error:', error);
     res.status(500).json({ 
@@ -221,27 +359,246 @@ router.post('/test-classify', isAuthenticated, async (req, res) => {
   }
 });
 
-// Pagination => infinite loading
+// Hit/miss counters for the classification cache
+router.get('/classification-cache/stats', isAuthenticated, authorize('admin'), (req, res) => {
+  res.json(getClassificationCacheStats());
+});
+
+// Feed => infinite loading. Uses opaque cursors (?cursor=<nextCursor>) by default;
+// ?page=N keeps the old page-based responses for older app versions.
 router.get("/", isAuthenticated, async (req, res) => {
   try {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
-    const reports = await Report.find().sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    const feedQuery = parseReportFeedQuery(req.query, req.user);
+    if (feedQuery.error) {
+      return res.status(feedQuery.status).json(feedQuery.error);
+    }
+    const { filter, sort, sortName, page, limit, search } = feedQuery;
+    const projection = reportProjection(req.user, search ? { score: { $meta: 'textScore' } } : undefined);
+
+    if (req.query.page !== undefined) {
+      const skip = (page - 1) * limit;
+      const reports = await Report.find(filter, projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate("user", "username profileImage");
+
+      const totalReports = await countReports(filter);
+
+      return res.send({  
+        reports,
+        currentPage: page,
+        totalReports,
+        totalPages: Math.ceil(totalReports / limit),
+      });
+    }
+
+    // Relevance scores can't be used as a cursor key
+    if (sortName === 'relevance') {
+      return res.status(400).json({
+        message: 'sort=relevance is only available with page-based pagination',
+        code: 'INVALID_SORT'
+      });
+    }
+
+    const cursorFilter = { ...filter };
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor, sort, sortName);
+      if (!values) {
+        return res.status(400).json({
+          message: 'Invalid or expired cursor',
+          code: 'INVALID_CURSOR'
+        });
+      }
+      cursorFilter.$and = [...(cursorFilter.$and || []), buildCursorFilter(sort, values)];
+    }
+
+    // One extra item tells us whether there is another page
+    const reports = await Report.find(cursorFilter, projection)
+      .sort(withTieBreaker(sort))
+      .limit(limit + 1)
       .populate("user", "username profileImage");
 
-    const totalReports = await Report.countDocuments();
+    const hasMore = reports.length > limit;
+    if (hasMore) reports.pop();
 
-    res.send({  
+    res.send({
       reports,
+      nextCursor: hasMore ? encodeCursor(reports[reports.length - 1], sort, sortName) : null,
+      hasMore,
+      ...(req.query.includeTotal === 'true' && { totalReports: await countReports(filter) })
+    });
+  } catch (error) {
+    console.log("Error in getting reports:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Reports closest to a point (or inside a map viewport), sorted by distance
+router.get("/nearby", isAuthenticated, async (req, res) => {
+  try {
+    const { lat, lng, radius, bbox } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if ((lat === undefined || lng === undefined) && !bbox) {
+      return res.status(400).json({
+        message: 'Provide lat and lng, or a bbox',
+        code: 'MISSING_LOCATION'
+      });
+    }
+
+    const query = {};
+    let center;
+
+    if (bbox) {
+      const box = parseBbox(bbox);
+      if (box.error) {
+        return res.status(400).json({ message: box.error, code: box.code });
+      }
+      query.location = { $geoWithin: { $geometry: bboxToPolygon(box) } };
+      center = bboxCenter(box);
+    }
+
+    if (lat !== undefined && lng !== undefined) {
+      const coords = parseCoordinates(lat, lng);
+      if (coords.error) {
+        return res.status(400).json({ message: coords.error, code: coords.code });
+      }
+      center = coords;
+    }
+
+    // Radius only applies to point searches; a viewport is already bounded
+    let maxDistance;
+    if (radius !== undefined || !bbox) {
+      maxDistance = radius !== undefined ? parseFloat(radius) : 5000;
+      if (isNaN(maxDistance) || maxDistance <= 0 || maxDistance > 50000) {
+        return res.status(400).json({
+          message: 'Radius must be between 1 and 50000 metres',
+          code: 'INVALID_RADIUS'
+        });
+      }
+    }
+
+    const statusFilter = parseStatusFilter(req.query.status, { allowHidden: canSeeHiddenReports(req.user) });
+    if (statusFilter.forbidden) {
+      return res.status(403).json({
+        message: statusFilter.error,
+        code: 'FORBIDDEN_STATUS'
+      });
+    }
+    if (statusFilter.error) {
+      return res.status(400).json({
+        message: statusFilter.error,
+        code: 'INVALID_STATUS',
+        validStatuses: REPORT_STATUSES
+      });
+    }
+    query.status = statusFilter.value || { $nin: HIDDEN_STATUSES };
+
+    const [result] = await Report.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [center.lng, center.lat] },
+          distanceField: 'distance',
+          spherical: true,
+          query,
+          ...(maxDistance !== undefined && { maxDistance })
+        }
+      },
+      ...(reportProjection(req.user) ? [{ $project: reportProjection(req.user) }] : []),
+      {
+        $facet: {
+          reports: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const reports = await Report.populate(result.reports, {
+      path: "user",
+      select: "username profileImage"
+    });
+    const totalReports = result.total[0]?.count || 0;
+
+    res.json({
+      reports: reports.map(report => ({
+        ...report,
+        distance: Math.round(report.distance)
+      })),
+      center,
+      radius: maxDistance,
       currentPage: page,
       totalReports,
       totalPages: Math.ceil(totalReports / limit),
     });
   } catch (error) {
-    console.log("Error in getting reports:", error);
+    console.log("Error in getting nearby reports:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Map clusters: ?bbox=minLng,minLat,maxLng,maxLat&zoom=0-20 plus the feed filters.
+// Returns grid cells with counts instead of individual reports.
+router.get("/heatmap", isAuthenticated, async (req, res) => {
+  try {
+    if (!req.query.bbox) {
+      return res.status(400).json({
+        message: 'bbox is required',
+        code: 'MISSING_LOCATION'
+      });
+    }
+
+    const zoom = Number(req.query.zoom ?? 12);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 20) {
+      return res.status(400).json({
+        message: 'zoom must be an integer between 0 and 20',
+        code: 'INVALID_ZOOM'
+      });
+    }
+
+    const feedQuery = parseReportFeedQuery(req.query, req.user);
+    if (feedQuery.error) {
+      return res.status(feedQuery.status).json(feedQuery.error);
+    }
+
+    const heatmap = await aggregateHeatmap(feedQuery.filter, zoom);
+    res.json({
+      zoom,
+      ...heatmap,
+      totalReports: heatmap.cells.reduce((sum, cell) => sum + cell.count, 0)
+    });
+  } catch (error) {
+    console.log("Error in building heatmap:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Bulk export for GIS tools: ?format=geojson|csv|kml plus the same filters as
+// the feed (pagination is ignored). Staff accounts or partner API keys only.
+router.get("/export", apiKeyOrRoles('moderator', 'admin'), async (req, res) => {
+  try {
+    const format = req.query.format || 'geojson';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const feedQuery = parseReportFeedQuery(req.query, req.user);
+    if (feedQuery.error) {
+      return res.status(feedQuery.status).json(feedQuery.error);
+    }
+
+    const count = await streamReportExport(res, { filter: feedQuery.filter, sort: feedQuery.sort, format });
+    console.log(`Exported ${count} reports as ${format} for ${req.apiKey ? `API key ${req.apiKey.prefix}` : req.user.email}`);
+  } catch (error) {
+    console.error("Error exporting reports:", error);
+    // Once streaming has started the status can't change; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ message: "Internal Server Error" });
   }
 });
@@ -249,7 +606,19 @@ router.get("/", isAuthenticated, async (req, res) => {
 // Get reports that are being reported by the logged in user 
 router.get("/user", isAuthenticated, async (req, res) => {
   try {
-    const reports = await Report.find({ user: req.user._id })
+    // Reporters can always see their own held and rejected reports
+    const statusFilter = parseStatusFilter(req.query.status, { allowHidden: true });
+    if (statusFilter.error) {
+      return res.status(400).json({
+        message: statusFilter.error,
+        code: 'INVALID_STATUS',
+        validStatuses: REPORT_STATUSES
+      });
+    }
+    const filter = { user: req.user._id };
+    if (statusFilter.value) filter.status = statusFilter.value;
+
+    const reports = await Report.find(filter, reportProjection(req.user))
       .sort({ createdAt: -1 })
       .populate("user", "username profileImage");
     res.json(reports);
@@ -259,42 +628,565 @@ router.get("/user", isAuthenticated, async (req, res) => {
   }
 });
 
-router.delete("/:id", isAuthenticated, async (req, res) => {
+// Move a report through its lifecycle (open -> acknowledged -> in_progress -> cleaned -> verified)
+// Crews work reports through the field statuses; only moderators and admins verify a cleanup
+router.patch("/:id/status", isAuthenticated, authorize('crew', 'moderator', 'admin'), async (req, res) => {
   try {
+    const { status, reason } = req.body;
+
+    if (!status || !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status',
+        code: 'INVALID_STATUS',
+        validStatuses: REPORT_STATUSES
+      });
+    }
+
+    if (status === 'verified' && req.user.role === 'crew') {
+      return res.status(403).json({
+        message: 'Only moderators can verify a cleanup',
+        code: 'FORBIDDEN_STATUS'
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        message: 'Reason must be a string',
+        code: 'INVALID_REASON'
+      });
+    }
+
     const report = await Report.findById(req.params.id);
     if (!report) {
       return res.status(404).json({ message: "Report not found" });
     }
 
+    if (!report.canTransitionTo(status)) {
+      return res.status(409).json({
+        message: `Cannot change status from ${report.status} to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        currentStatus: report.status,
+        allowedStatuses: STATUS_TRANSITIONS[report.status]
+      });
+    }
+
+    // Cleanup points are paid on verification and taken back if the report is reopened
+    let cleanupPoints = 0;
+    if (status === 'verified') {
+      cleanupPoints = await awardCleanupPoints(report);
+    } else if (report.status === 'cleaned') {
+      cleanupPoints = -(await revokeCleanupPoints(report));
+    }
+
+    report.changeStatus(status, req.user._id, reason);
+    const savedReport = await report.save();
+
+    res.json({
+      message: 'Report status updated successfully',
+      report: serializeReport(savedReport, req.user),
+      cleanupPoints
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Update Report Status Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Poll the outcome of async verification for one of your reports
+router.get("/:id/verification", isAuthenticated, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('user status aiVerification pointsAwarded statusHistory');
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
     if (report.user.toString() !== req.user._id.toString()) {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    if (report.publicId) {
-      try {
-        await cloudinary.uploader.destroy(report.publicId);
-      } catch (deleteError) {
-        console.error("Cloudinary deletion error:", deleteError);
-      }
+    const job = await ClassificationJob.findOne({ report: report._id })
+      .sort({ createdAt: -1 })
+      .select('status attempts maxAttempts runAt lastError')
+      .lean();
+
+    res.json({
+      reportId: report._id,
+      status: report.status,
+      verified: !HIDDEN_STATUSES.includes(report.status),
+      aiVerification: report.aiVerification,
+      pointsEarned: report.pointsAwarded || 0,
+      reason: report.statusHistory[report.statusHistory.length - 1]?.reason,
+      job
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Report Verification Status Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Redirects to one of the report's photos in a standard size:
+// ?variant=thumbnail|small (omit for the full image), ?index= for other photos
+router.get("/:id/image", isAuthenticated, async (req, res) => {
+  try {
+    const { variant } = req.query;
+    if (variant !== undefined && !isVariant(variant)) {
+      return res.status(400).json({
+        message: 'Invalid image variant',
+        code: 'INVALID_VARIANT',
+        validVariants: Object.keys(IMAGE_VARIANTS)
+      });
+    }
+
+    const report = await Report.findById(req.params.id).select('image publicId storageDriver images imageHash');
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const index = parseInt(req.query.index) || 0;
+    const photo = report.getImages()[index];
+    if (!photo) {
+      return res.status(404).json({ message: "Image not found", code: 'IMAGE_NOT_FOUND' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.redirect(photo.publicId ? getImageUrl(photo.publicId, variant, photo.storageDriver) : photo.url);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Report Image Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Report image with the classifier's detection boxes drawn over it. On multi-image
+// reports this is the photo the verdict came from.
+router.get("/:id/annotated", isAuthenticated, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('image images aiVerification');
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    const minConfidence = parseFloat(req.query.minConfidence) || 0;
+    const detections = (report.aiVerification?.detections || [])
+      .filter(det => det.confidence >= minConfidence);
+
+    let imageBuffer;
+    try {
+      const imageIndex = report.aiVerification?.imageIndex || 0;
+      imageBuffer = await downloadImage(report.images?.[imageIndex]?.url || report.image);
+    } catch (downloadError) {
+      console.error("Annotated image download error:", downloadError);
+      return res.status(502).json({
+        message: 'Could not load report image',
+        code: 'IMAGE_UNAVAILABLE'
+      });
+    }
+
+    const annotated = await renderAnnotatedImage(imageBuffer, detections);
+
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Detection-Count': String(detections.length)
+    });
+    res.send(annotated);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Annotated Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Confirm that a reported pile is still there (or mark it as gone), optionally with a photo
+router.post("/:id/confirm", isAuthenticated, async (req, res) => {
+  try {
+    const { stillThere, image, latitude, longitude } = req.body;
+
+    if (stillThere !== undefined && typeof stillThere !== 'boolean') {
+      return res.status(400).json({
+        message: 'stillThere must be true or false',
+        code: 'INVALID_STILL_THERE'
+      });
+    }
+
+    const imageError = image !== undefined && checkBase64Image(image);
+    if (imageError) {
+      return res.status(imageError.status).json(imageError.body);
+    }
+
+    return await confirmReport(req.params.id, req.user, { stillThere, image, latitude, longitude }, res);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Confirm Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+router.use("/:id/comments", commentRoutes);
+
+// Let other users flag a report for a moderator to look at
+router.post("/:id/flag", isAuthenticated, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        message: 'Missing required fields: reason',
+        code: 'MISSING_FIELDS',
+        missingFields: ['reason']
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        message: 'You cannot flag your own report',
+        code: 'OWN_REPORT'
+      });
+    }
+
+    const alreadyFlagged = report.flags
+      .some(flag => flag.user.toString() === req.user._id.toString());
+    if (alreadyFlagged) {
+      return res.status(409).json({
+        message: 'You have already flagged this report',
+        code: 'ALREADY_FLAGGED'
+      });
+    }
+
+    report.flags.push({ user: req.user._id, reason: reason.trim() });
+    report.requestModeration('user_flagged');
+    await report.save();
+
+    res.status(201).json({ message: 'Report flagged for review' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Flag Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Submit an "after" photo proving the dump was cleaned up
+router.post("/:id/cleanup", isAuthenticated, async (req, res) => {
+  try {
+    const { image, note } = req.body;
+
+    if (!image || typeof image !== 'string') {
+      return res.status(400).json({
+        message: 'Missing required fields: image',
+        code: 'MISSING_FIELDS',
+        missingFields: ['image']
+      });
+    }
+
+    const imageError = checkBase64Image(image);
+    if (imageError) {
+      return res.status(imageError.status).json(imageError.body);
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (!report.canTransitionTo('cleaned')) {
+      return res.status(409).json({
+        message: `A report that is ${report.status} cannot be marked as cleaned`,
+        code: 'INVALID_STATUS_TRANSITION',
+        currentStatus: report.status
+      });
+    }
+
+    let classification;
+    try {
+      classification = await classifyImage(image);
+    } catch (error) {
+      return res.status(503).json({
+        message: 'Waste verification service unavailable',
+        code: 'SERVICE_UNAVAILABLE',
+        error: error.message
+      });
+    }
+
+    if (classification.isWaste) {
+      return res.status(400).json({
+        message: 'Waste is still visible in the cleanup photo',
+        classification,
+        code: 'WASTE_STILL_PRESENT'
+      });
+    }
+
+    let uploadResponse;
+    try {
+      uploadResponse = await uploadImage(image, { folder: 'cleanups' });
+    } catch (uploadError) {
+      return sendUploadError(res, uploadError);
     }
 
-    const pointsMap = {
-      standard: 10,
-      hazardous: 20,
-      large: 15
+    // Points are held until a moderator verifies the cleanup (see PATCH /:id/status)
+    report.cleanup = {
+      beforeImage: report.image,
+      image: uploadResponse.url,
+      publicId: uploadResponse.publicId,
+      storageDriver: uploadResponse.storageDriver,
+      cleanedBy: req.user._id,
+      cleanedAt: new Date(),
+      note: typeof note === 'string' ? note.trim() : undefined,
+      classification: {
+        isWaste: classification.isWaste,
+        confidence: classification.confidence
+      },
+      pointsAwarded: 0
     };
-    
-    const pointsToDeduct = report.reportType 
-      ? pointsMap[report.reportType] || 10 
-      : 10;
-
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        reportCount: -1, 
-        points: -pointsToDeduct 
+    report.changeStatus('cleaned', req.user._id, 'Cleanup proof submitted');
+    const savedReport = await report.save();
+
+    res.status(201).json({
+      message: 'Cleanup recorded and awaiting verification',
+      report: serializeReport(savedReport, req.user),
+      pointsEarned: 0,
+      pendingPoints: getCleanupPoints(report.reportType),
+      classification
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "Invalid report id" });
+    }
+    console.error("Cleanup Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Owner edits: title, details, address and image. A new image goes through
+// classification again like a fresh submission. Locked once the report is acknowledged.
+router.patch("/:id", isAuthenticated, async (req, res) => {
+  try {
+    const editable = ['title', 'details', 'address', 'image'];
+    const notEditable = Object.keys(req.body).filter(field => !editable.includes(field));
+    if (notEditable.length > 0) {
+      return res.status(400).json({
+        message: `These fields cannot be edited: ${notEditable.join(', ')}`,
+        code: 'FIELD_NOT_EDITABLE',
+        editableFields: editable
+      });
+    }
+
+    const validation = validateReportInput(req.body, { partial: true });
+    if (validation.error) {
+      return res.status(validation.error.status).json(validation.error.body);
+    }
+    const { values } = validation;
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        message: `Provide at least one of: ${editable.join(', ')}`,
+        code: 'NO_CHANGES'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Only the reporter can edit this report", code: 'NOT_OWNER' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(report.status)) {
+      return res.status(409).json({
+        message: `Reports can no longer be edited once ${report.status.replace('_', ' ')}`,
+        code: 'REPORT_LOCKED',
+        status: report.status
+      });
+    }
+
+    const changes = [];
+    for (const field of ['title', 'details', 'address']) {
+      if (values[field] !== undefined && values[field] !== report[field]) {
+        changes.push({ field, from: report[field], to: values[field] });
+        report[field] = values[field];
+      }
+    }
+
+    let classification;
+    let oldImage;
+    let pointsEarned = 0;
+    if (values.image) {
+      // The queued job would classify the old image
+      if (report.status === 'pending_verification' && !report.moderation?.status) {
+        return res.status(409).json({
+          message: 'The current image is still being verified, try again shortly',
+          code: 'VERIFICATION_IN_PROGRESS'
+        });
+      }
+
+      try {
+        classification = await classifyImage(values.image, { reportType: report.reportType });
+      } catch (error) {
+        return res.status(503).json({
+          message: 'Waste verification service unavailable',
+          code: 'SERVICE_UNAVAILABLE',
+          error: error.message
+        });
+      }
+
+      const decision = await evaluateClassification(classification, report.reportType);
+      if (decision.decision === 'reject') {
+        return res.status(400).json({
+          message: decision.message,
+          classification,
+          code: decision.code
+        });
+      }
+
+      const [lng, lat] = report.location.coordinates;
+      const photoTrust = assessPhotoTrust(
+        await readPhotoMetadata(values.image),
+        { lat, lng }
+      );
+
+      let uploadResponse;
+      try {
+        uploadResponse = await uploadImage(values.image, { folder: 'reports' });
+      } catch (uploadError) {
+        return sendUploadError(res, uploadError);
+      }
+
+      let imageHash;
+      try {
+        imageHash = await computeImageHash(values.image);
+      } catch (hashError) {
+        console.warn('Image hash failed:', hashError.message);
+      }
+
+      changes.push({ field: 'image', from: report.image, to: uploadResponse.url });
+      oldImage = { publicId: report.publicId, storageDriver: report.storageDriver };
+      report.image = uploadResponse.url;
+      report.publicId = uploadResponse.publicId;
+      report.storageDriver = uploadResponse.storageDriver;
+      report.imageHash = imageHash;
+      // The new photo replaces the primary one; it has to show the waste on its own
+      if (report.images?.length) {
+        report.images[0] = {
+          url: uploadResponse.url,
+          publicId: uploadResponse.publicId,
+          storageDriver: uploadResponse.storageDriver,
+          imageHash,
+          classification: {
+            isWaste: classification.isWaste,
+            confidence: classification.confidence,
+            verification: classification.verification
+          }
+        };
+      }
+      report.aiVerification = toAiVerification(classification);
+      report.trustScore = photoTrust.trustScore;
+      report.photoCheck = photoTrust.photoCheck;
+
+      // Swapping in someone else's photo is as suspect as submitting it
+      const [reuse] = await findImageReuse(imageHash, { userId: req.user._id, excludeReportId: report._id });
+      if (reuse) {
+        report.fraudFlags = [...(report.fraudFlags || []), { type: 'image_reuse', ...reuse }];
       }
+
+      const reviewReasons = [];
+      if (decision.decision === 'moderate') reviewReasons.push('low_confidence');
+      if (photoTrust.trustScore < REVIEW_TRUST_SCORE) reviewReasons.push('suspicious_photo');
+      if (reuse) reviewReasons.push('suspected_fraud');
+
+      if (reviewReasons.length > 0) {
+        // Points are held again until a moderator approves the new photo
+        await revokeReportPoints(report);
+        if (report.status === 'open') {
+          report.changeStatus('pending_verification', req.user._id, 'Image changed, awaiting review');
+        }
+        reviewReasons.forEach(reason => report.requestModeration(reason));
+      } else if (report.status === 'pending_verification' &&
+        report.moderation?.status === 'pending' &&
+        report.moderation.reasons.every(reason => reason === 'low_confidence')) {
+        // A clear photo replaces the borderline one, so publish it now
+        report.moderation = undefined;
+        report.changeStatus('open', req.user._id, 'Image changed and verified');
+        if (report.pointsAwarded === 0) {
+          pointsEarned = await awardReportPoints(report);
+        }
+      }
+    }
+
+    if (changes.length === 0) {
+      return res.json({ message: 'Nothing changed', report: serializeReport(report, req.user), code: 'NO_CHANGES' });
+    }
+
+    report.editHistory.push({ editedBy: req.user._id, changes });
+    await report.save();
+
+    // Only drop the old photo once the new one is saved on the report
+    if (oldImage) await destroyImage(oldImage.publicId, oldImage.storageDriver);
+
+    res.json({
+      message: report.moderation?.status === 'pending'
+        ? 'Report updated and sent for moderator review'
+        : 'Report updated successfully',
+      report: serializeReport(report, req.user),
+      pointsEarned,
+      classification
     });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid report id' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        error: error.message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    console.error("Edit Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+router.delete("/:id", isAuthenticated, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    // Each image is removed from the driver that stored it
+    const stored = new Map([report, ...report.getImages()].map(item => [item.publicId, item.storageDriver]));
+    await Promise.all([...stored].map(([publicId, storageDriver]) => destroyImage(publicId, storageDriver)));
+    await destroyImage(report.cleanup?.publicId, report.cleanup?.storageDriver);
+    await Promise.all(report.confirmations
+      .map(confirmation => destroyImage(confirmation.publicId, confirmation.storageDriver)));
+
+    await revokeReportPoints(report);
 
+    await Comment.deleteMany({ report: report._id });
     await report.deleteOne();
     res.json({ message: "Report deleted successfully" });
     
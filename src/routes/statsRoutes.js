@@ -0,0 +1,118 @@
+import express from 'express';
+import { isAuthenticated } from '../middleware/auth.js';
+import { parseBbox, bboxToPolygon } from '../utils/geo.js';
+import {
+  getReportSeries,
+  getCleanupStats,
+  getReporterStats,
+  getVerificationStats,
+  getAreaStats,
+  getPersonalStats
+} from '../services/statsService.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+// Default end dates are rounded up so repeated dashboard loads share cache entries
+const RANGE_ROUNDING_MS = 5 * 60 * 1000;
+
+// ?from=&to= (ISO dates); defaults to the last 30 days
+const parseRange = (query, defaultDays = 30) => {
+  const to = query.to
+    ? new Date(query.to)
+    : new Date(Math.ceil(Date.now() / RANGE_ROUNDING_MS) * RANGE_ROUNDING_MS);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: { message: 'Invalid from or to date', code: 'INVALID_DATE' } };
+  }
+  if (from > to) {
+    return { error: { message: 'from must be before to', code: 'INVALID_DATE' } };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: { message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`, code: 'INVALID_DATE' } };
+  }
+  return { from, to };
+};
+
+// Wraps a handler that needs a date range, with the shared error handling.
+// Handlers may return { error } to reject other query parameters.
+const withRange = (name, handler) => async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json(range.error);
+    }
+    const result = await handler(req, range);
+    if (result.error) {
+      return res.status(400).json(result.error);
+    }
+    res.json({ from: range.from, to: range.to, ...result });
+  } catch (error) {
+    console.error(`Error fetching ${name} stats:`, error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+};
+
+router.use(isAuthenticated);
+
+// Everything the dashboard shows on first load
+router.get('/', withRange('overview', async (req, range) => {
+  const [cleanup, reporters, verification] = await Promise.all([
+    getCleanupStats(range),
+    getReporterStats(range),
+    getVerificationStats(range)
+  ]);
+  return { cleanup, reporters, verification };
+}));
+
+// Reports per day or week by report type: ?interval=day|week
+router.get('/reports', withRange('report', (req, range) => {
+  const interval = req.query.interval || 'day';
+  if (!['day', 'week'].includes(interval)) {
+    return { error: { message: 'interval must be day or week', code: 'INVALID_INTERVAL' } };
+  }
+  return getReportSeries(range, interval);
+}));
+
+router.get('/cleanup', withRange('cleanup', (req, range) => getCleanupStats(range)));
+
+router.get('/reporters', withRange('reporter', (req, range) => getReporterStats(range)));
+
+router.get('/verification', withRange('verification', (req, range) => getVerificationStats(range)));
+
+// Totals per map grid cell: ?zoom=0-20 (default 10) and optional bbox
+router.get('/areas', withRange('area', (req, range) => {
+  const zoom = Number(req.query.zoom ?? 10);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 20) {
+    return { error: { message: 'zoom must be an integer between 0 and 20', code: 'INVALID_ZOOM' } };
+  }
+
+  let polygon;
+  if (req.query.bbox) {
+    const box = parseBbox(req.query.bbox);
+    if (box.error) {
+      return { error: { message: box.error, code: box.code } };
+    }
+    polygon = bboxToPolygon(box);
+  }
+  return getAreaStats(range, { zoom, polygon });
+}));
+
+// The signed-in user's own impact; the timeline covers the last 12 weeks by default
+router.get('/me', async (req, res) => {
+  try {
+    const range = parseRange(req.query, 84);
+    if (range.error) {
+      return res.status(400).json(range.error);
+    }
+    const stats = await getPersonalStats(req.user._id, range);
+    res.json({ from: range.from, to: range.to, ...stats });
+  } catch (error) {
+    console.error('Error fetching personal stats:', error);
+    res.status(500).json({ message: 'Internal Server Error' });
+  }
+});
+
+export default router;
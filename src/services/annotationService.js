@@ -0,0 +1,45 @@
+import sharp from 'sharp';
+
+// Class 1 is waste, class 0 is non-waste
+const CLASS_COLORS = { 0: '#1e88e5', 1: '#e53935' };
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, (char) => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[char]));
+
+// Draws detection boxes (normalised 0-1 coordinates) and labels over the image
+export async function renderAnnotatedImage(imageBuffer, detections = []) {
+  const image = sharp(imageBuffer).rotate();
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const strokeWidth = Math.max(2, Math.round(Math.min(width, height) / 200));
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 30));
+
+  const shapes = detections
+    .filter(det => det.box)
+    .map(det => {
+      const color = CLASS_COLORS[det.class] || '#fdd835';
+      const x = det.box.x1 * width;
+      const y = det.box.y1 * height;
+      const w = (det.box.x2 - det.box.x1) * width;
+      const h = (det.box.y2 - det.box.y1) * height;
+      const label = `${escapeXml(det.name || det.class)} ${Math.round(det.confidence * 100)}%`;
+      const labelY = y > fontSize + 4 ? y - 4 : y + fontSize + 2;
+
+      return `
+        <rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${color}" stroke-width="${strokeWidth}" />
+        <text x="${x + 2}" y="${labelY}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold"
+          fill="#ffffff" stroke="${color}" stroke-width="${strokeWidth / 2}" paint-order="stroke">${label}</text>`;
+    })
+    .join('');
+
+  const overlay = Buffer.from(
+    `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shapes}</svg>`
+  );
+
+  return sharp(data)
+    .composite([{ input: overlay, top: 0, left: 0 }])
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
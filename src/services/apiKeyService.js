@@ -0,0 +1,33 @@
+import { createHash, randomBytes } from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+const KEY_PREFIX = 'gsk_';
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// Creates a key and returns the plain value alongside the stored document;
+// the plain value cannot be recovered afterwards
+export async function createApiKey(name, createdBy) {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    createdBy
+  });
+  return { key, apiKey };
+}
+
+// Returns the active key matching the given value, or null
+export async function findActiveApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!apiKey) return null;
+
+  // Not awaited: a failed timestamp update shouldn't fail the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+    .catch(error => console.error('Failed to update API key usage:', error.message));
+
+  return apiKey;
+}
@@ -0,0 +1,32 @@
+import { createUltralyticsProvider } from './providers/ultralyticsProvider.js';
+import { createOnnxProvider } from './providers/onnxProvider.js';
+import { createMockProvider } from './providers/mockProvider.js';
+
+// A provider is { name, modelVersion, detect(image) } where image is a Buffer or
+// the path of an uploaded temp file, and detect resolves to YOLO-style
+// detections: [{ class, name, confidence, box }]
+const providerFactories = {
+  ultralytics: createUltralyticsProvider,
+  onnx: createOnnxProvider,
+  mock: createMockProvider
+};
+
+let provider;
+
+// Returns the provider chosen by CLASSIFIER_PROVIDER (default: ultralytics)
+export function getClassificationProvider() {
+  if (!provider) {
+    const name = (process.env.CLASSIFIER_PROVIDER || 'ultralytics').toLowerCase();
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown CLASSIFIER_PROVIDER "${name}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+// Swap the active provider, e.g. a mock in tests
+export function setClassificationProvider(newProvider) {
+  provider = newProvider;
+}
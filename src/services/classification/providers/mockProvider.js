@@ -0,0 +1,37 @@
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { updateHashWithImage } from '../../../utils/imageSource.js';
+
+// Deterministic stand-in for offline development and tests: the same image
+// always yields the same detection, derived from its SHA-256 digest.
+// MOCK_CLASSIFIER_CONFIDENCE / MOCK_CLASSIFIER_CLASS pin the outcome instead.
+export function createMockProvider({
+  confidence = process.env.MOCK_CLASSIFIER_CONFIDENCE,
+  detectedClass = process.env.MOCK_CLASSIFIER_CLASS
+} = {}) {
+  return {
+    name: 'mock',
+    modelVersion: "mock-1",
+
+    async detect(image) {
+      const digest = (await updateHashWithImage(createHash('sha256'), image)).digest();
+
+      const cls = detectedClass !== undefined ? Number(detectedClass) : digest[0] % 4 === 0 ? 0 : 1;
+      const conf = confidence !== undefined
+        ? Number(confidence)
+        : 0.3 + (digest[1] / 255) * 0.69; // 0.30 - 0.99
+
+      if (conf <= 0) return [];
+
+      // Box the centre half of the image, in pixels like the real providers
+      const { width = 640, height = 640 } = await sharp(image).metadata().catch(() => ({}));
+
+      return [{
+        class: cls,
+        name: cls === 1 ? "waste" : "non-waste",
+        confidence: Number(conf.toFixed(4)),
+        box: { x1: width * 0.25, y1: height * 0.25, x2: width * 0.75, y2: height * 0.75 }
+      }];
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import sharp from 'sharp';
+
+const INPUT_SIZE = 640;
+const CONF_THRESHOLD = 0.25;
+const IOU_THRESHOLD = 0.45;
+
+// Intersection over union of two { x1, y1, x2, y2 } boxes
+const iou = (a, b) => {
+  const x1 = Math.max(a.x1, b.x1);
+  const y1 = Math.max(a.y1, b.y1);
+  const x2 = Math.min(a.x2, b.x2);
+  const y2 = Math.min(a.y2, b.y2);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = (a.x2 - a.x1) * (a.y2 - a.y1) + (b.x2 - b.x1) * (b.y2 - b.y1) - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+// Per-class non-maximum suppression
+const nonMaxSuppression = (detections) => {
+  const kept = [];
+  const sorted = [...detections].sort((a, b) => b.confidence - a.confidence);
+  for (const det of sorted) {
+    if (!kept.some(k => k.class === det.class && iou(k.box, det.box) > IOU_THRESHOLD)) {
+      kept.push(det);
+    }
+  }
+  return kept;
+};
+
+// Local YOLOv8 model exported to ONNX (`yolo export format=onnx`), run on the CPU.
+// onnxruntime-node is an optional dependency and is only loaded when this provider is used.
+export function createOnnxProvider({
+  modelPath = process.env.ONNX_MODEL_PATH,
+  classNames = (process.env.ONNX_CLASS_NAMES || "non-waste,waste").split(',')
+} = {}) {
+  let sessionPromise;
+
+  const getSession = () => {
+    if (!sessionPromise) {
+      if (!modelPath) {
+        throw new Error('ONNX_MODEL_PATH is not set');
+      }
+      sessionPromise = import('onnxruntime-node')
+        .then(ort => ort.InferenceSession.create(modelPath, { executionProviders: ['cpu'] })
+          .then(session => ({ ort, session })))
+        .catch(error => {
+          sessionPromise = undefined;
+          throw error;
+        });
+    }
+    return sessionPromise;
+  };
+
+  return {
+    name: 'onnx',
+    modelVersion: `YOLOv8-onnx:${modelPath ? modelPath.split(/[\\/]/).pop() : 'unset'}`,
+
+    async detect(image) {
+      const { ort, session } = await getSession();
+
+      // Letterbox into a 640x640 square, keeping the aspect ratio
+      // metadata() reports the stored size; use the EXIF-rotated one to match .rotate()
+      const pipeline = sharp(image).rotate();
+      const metadata = await pipeline.metadata();
+      const width = metadata.autoOrient?.width ?? metadata.width;
+      const height = metadata.autoOrient?.height ?? metadata.height;
+      const scale = Math.min(INPUT_SIZE / width, INPUT_SIZE / height);
+      const padX = Math.round((INPUT_SIZE - width * scale) / 2);
+      const padY = Math.round((INPUT_SIZE - height * scale) / 2);
+
+      const pixels = await pipeline
+        .resize(INPUT_SIZE, INPUT_SIZE, { fit: 'contain', background: { r: 114, g: 114, b: 114 } })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+
+      // HWC uint8 -> CHW float32 in [0, 1]
+      const area = INPUT_SIZE * INPUT_SIZE;
+      const input = new Float32Array(3 * area);
+      for (let i = 0; i < area; i++) {
+        input[i] = pixels[i * 3] / 255;
+        input[area + i] = pixels[i * 3 + 1] / 255;
+        input[2 * area + i] = pixels[i * 3 + 2] / 255;
+      }
+
+      const feeds = {
+        [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, INPUT_SIZE, INPUT_SIZE])
+      };
+      const output = (await session.run(feeds))[session.outputNames[0]];
+
+      // YOLOv8 output is [1, 4 + classes, anchors]: cx, cy, w, h, then one score per class
+      const [, rows, anchors] = output.dims;
+      const data = output.data;
+      const detections = [];
+
+      for (let a = 0; a < anchors; a++) {
+        let bestClass = 0;
+        let bestScore = 0;
+        for (let c = 4; c < rows; c++) {
+          const score = data[c * anchors + a];
+          if (score > bestScore) {
+            bestScore = score;
+            bestClass = c - 4;
+          }
+        }
+        if (bestScore < CONF_THRESHOLD) continue;
+
+        const cx = data[a];
+        const cy = data[anchors + a];
+        const w = data[2 * anchors + a];
+        const h = data[3 * anchors + a];
+
+        // Undo the letterbox so boxes are in original image pixels
+        detections.push({
+          class: bestClass,
+          name: classNames[bestClass] || String(bestClass),
+          confidence: bestScore,
+          box: {
+            x1: Math.max(0, (cx - w / 2 - padX) / scale),
+            y1: Math.max(0, (cy - h / 2 - padY) / scale),
+            x2: Math.min(width, (cx + w / 2 - padX) / scale),
+            y2: Math.min(height, (cy + h / 2 - padY) / scale)
+          }
+        });
+      }
+
+      return nonMaxSuppression(detections);
+    }
+  };
+}
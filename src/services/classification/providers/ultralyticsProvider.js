@@ -0,0 +1,77 @@
+import fs from 'fs';
+import { Buffer } from 'buffer';
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+
+const DEFAULT_API_URL = "https://predict.ultralytics.com";
+const DEFAULT_MODEL_URL = "https://hub.ultralytics.com/models/ZVb5acmIVTVJsvn2CfpO";
+
+// Hosted Ultralytics inference API
+export function createUltralyticsProvider({
+  apiKey = process.env.ULTRALYTICS_API_KEY,
+  apiUrl = process.env.ULTRALYTICS_API_URL || DEFAULT_API_URL,
+  modelUrl = process.env.ULTRALYTICS_MODEL_URL || DEFAULT_MODEL_URL,
+  timeoutMs = 30000
+} = {}) {
+  return {
+    name: 'ultralytics',
+    // Keyed on the hub model id so switching models doesn't reuse cached verdicts
+    modelVersion: `YOLOv8:${modelUrl.replace(/\/+$/, '').split('/').pop()}`,
+
+    async detect(image) {
+      const form = new FormData();
+      // Uploaded temp files are streamed into the request body
+      const file = Buffer.isBuffer(image)
+        ? { body: image, knownLength: image.length }
+        : { body: fs.createReadStream(image), knownLength: (await fs.promises.stat(image)).size };
+      form.append('file', file.body, {
+        filename: 'image.jpg',
+        contentType: 'image/jpeg',
+        knownLength: file.knownLength
+      });
+
+      const payload = {
+        "model": modelUrl,
+        imgsz: 640,
+        conf: 0.25,
+        iou: 0.45
+      };
+
+      Object.entries(payload).forEach(([key, value]) => {
+        form.append(key, value.toString());
+      });
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(apiUrl, {
+          method: "POST",
+          headers: {
+            "x-api-key": apiKey,
+            ...form.getHeaders()
+          },
+          body: form,
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+
+      if (data.images?.[0]?.results) {
+        return data.images[0].results;
+      } else if (data.predictions?.[0]?.detections) {
+        return data.predictions[0].detections;
+      }
+      return [];
+    }
+  };
+}
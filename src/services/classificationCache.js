@@ -0,0 +1,71 @@
+import { LRUCache } from '../lib/lruCache.js';
+import ClassificationCache from '../models/ClassificationCache.js';
+
+const MEMORY_MAX_ENTRIES = parseInt(process.env.CLASSIFICATION_CACHE_MAX_ENTRIES) || 500;
+const MEMORY_TTL_MS = 5 * 60 * 1000;
+// The Mongo layer is shared between instances and survives restarts
+const MONGO_ENABLED = process.env.CLASSIFICATION_CACHE_MONGO === 'true';
+
+const memoryCache = new LRUCache({ max: MEMORY_MAX_ENTRIES, ttlMs: MEMORY_TTL_MS });
+
+const stats = {
+  memoryHits: 0,
+  mongoHits: 0,
+  misses: 0,
+  mongoErrors: 0
+};
+
+// Looks the key up in memory first, then in Mongo (promoting hits back into memory)
+export async function getCachedClassification(key) {
+  const cached = memoryCache.get(key);
+  if (cached) {
+    stats.memoryHits++;
+    return cached;
+  }
+
+  if (MONGO_ENABLED) {
+    try {
+      const entry = await ClassificationCache.findOne({ key }).lean();
+      if (entry) {
+        stats.mongoHits++;
+        memoryCache.set(key, entry.result);
+        return entry.result;
+      }
+    } catch (error) {
+      stats.mongoErrors++;
+      console.error('Classification cache read error:', error.message);
+    }
+  }
+
+  stats.misses++;
+  return undefined;
+}
+
+export async function setCachedClassification(key, result) {
+  memoryCache.set(key, result);
+
+  if (MONGO_ENABLED) {
+    try {
+      await ClassificationCache.updateOne(
+        { key },
+        { $set: { result, createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      stats.mongoErrors++;
+      console.error('Classification cache write error:', error.message);
+    }
+  }
+}
+
+export function getClassificationCacheStats() {
+  const lookups = stats.memoryHits + stats.mongoHits + stats.misses;
+  return {
+    ...stats,
+    hits: stats.memoryHits + stats.mongoHits,
+    hitRate: lookups ? (stats.memoryHits + stats.mongoHits) / lookups : 0,
+    memoryEntries: memoryCache.size,
+    memoryMaxEntries: MEMORY_MAX_ENTRIES,
+    mongoEnabled: MONGO_ENABLED
+  };
+}
@@ -0,0 +1,107 @@
+import ClassificationJob from '../models/ClassificationJob.js';
+import Report from '../models/Report.js';
+import classifyImage, { aggregateClassifications } from './classificationService.js';
+import { evaluateClassification, toAiVerification } from './verificationPolicy.js';
+import { awardReportPoints } from './pointsService.js';
+import { downloadImage } from '../utils/downloadImage.js';
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+// A job still "processing" after this long is assumed to belong to a crashed worker
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+export async function enqueueClassification(report) {
+  return ClassificationJob.create({
+    report: report._id,
+    imageUrl: report.image
+  });
+}
+
+// Atomically claims the next due job so several instances can share the queue
+const claimNextJob = () => {
+  const now = new Date();
+  return ClassificationJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Applies a classification result to a pending report: publish and award points,
+// hand it to a moderator, or reject it. Reports already waiting for a moderator
+// (e.g. a suspicious photo) only get the result recorded; the moderator decides.
+const applyResult = async (report, classification) => {
+  const decision = await evaluateClassification(classification, report.reportType);
+  report.aiVerification = toAiVerification(classification);
+
+  if (report.moderation?.status === 'pending') {
+    if (decision.decision === 'moderate') report.requestModeration('low_confidence');
+  } else if (decision.decision === 'accept') {
+    report.changeStatus('open', undefined, 'Passed AI verification');
+    await awardReportPoints(report);
+  } else if (decision.decision === 'moderate') {
+    report.requestModeration('low_confidence');
+  } else {
+    report.changeStatus('rejected', undefined, decision.message);
+  }
+
+  await report.save();
+  return decision;
+};
+
+const processJob = async (job) => {
+  try {
+    const report = await Report.findById(job.report);
+
+    // Deleted or already decided (e.g. a retried job): nothing left to do
+    if (report && report.status === 'pending_verification' && !report.aiVerification?.classifiedAt) {
+      // Multi-image reports are judged on all their photos (see aggregateClassifications)
+      const urls = report.images?.length ? report.images.map(item => item.url) : [job.imageUrl];
+      const classifications = await Promise.all(urls.map(async url => classifyImage(await downloadImage(url), {
+        reportType: report.reportType
+      })));
+      classifications.forEach(({ isWaste, confidence, verification }, index) => {
+        if (report.images?.[index]) report.images[index].classification = { isWaste, confidence, verification };
+      });
+      await applyResult(report, aggregateClassifications(classifications));
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    console.error(`Classification job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      // The report stays pending_verification for a human to pick up
+      job.status = 'failed';
+      job.completedAt = new Date();
+    } else {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+    }
+  }
+
+  job.lockedAt = undefined;
+  await job.save();
+};
+
+// Runs up to `batchSize` due jobs one after another; returns how many ran
+export async function processClassificationJobs({ batchSize = 5 } = {}) {
+  let processed = 0;
+  while (processed < batchSize) {
+    const job = await claimNextJob();
+    if (!job) break;
+    await processJob(job);
+    processed++;
+  }
+  return processed;
+}
@@ -1,109 +1,116 @@
-import fetch from 'node-fetch';
-import { Buffer } from 'buffer';
-import FormData from 'form-data';
 import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { toImageSource, updateHashWithImage } from '../utils/imageSource.js';
+import { getClassificationProvider } from './classification/index.js';
+import { getCachedClassification, setCachedClassification } from './classificationCache.js';
+import { getVerificationPolicy, applyPolicyThresholds } from './verificationPolicy.js';
 
-const MIN_CONFIDENCE = 0.65;
-const HIGH_CONFIDENCE_THRESHOLD = 0.85;
-const imageCache = new Map();
-
-export default async function classifyImage(imageBase64) {
-  const hash = createHash('md5').update(imageBase64).digest('hex');
-  
-  if (imageCache.has(hash)) {
-    return imageCache.get(hash);
+// Converts provider boxes (image pixels) to fractions of the image size, so they
+// still line up after the stored copy is resized
+const normalizeDetections = async (detections, source) => {
+  let width;
+  let height;
+  try {
+    const metadata = await sharp(source).metadata();
+    width = metadata.autoOrient?.width ?? metadata.width;
+    height = metadata.autoOrient?.height ?? metadata.height;
+  } catch (error) {
+    console.warn('Could not read image size for detections:', error.message);
   }
 
-  const rawBase64 = imageBase64.replace(/^data:image\/\w+;base64,/, '');
-  const ULTRALYTICS_API_KEY = process.env.ULTRALYTICS_API_KEY;
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const clamp = (value) => Math.min(Math.max(value, 0), 1);
 
-  try {
-    const form = new FormData();
-    form.append('file', Buffer.from(rawBase64, 'base64'), {
-      filename: 'image.jpg',
-      contentType: 'image/jpeg',
-      knownLength: Buffer.byteLength(rawBase64, 'base64')
-    });
-
-    const payload = {
-      "model": "https://hub.ultralytics.com/models/ZVb5acmIVTVJsvn2CfpO",
-      imgsz: 640,
-      conf: 0.25,
-      iou: 0.45
+  return detections.map(det => {
+    const box = det.box && width && height ? {
+      x1: round(clamp(det.box.x1 / width)),
+      y1: round(clamp(det.box.y1 / height)),
+      x2: round(clamp(det.box.x2 / width)),
+      y2: round(clamp(det.box.y2 / height))
+    } : undefined;
+
+    return {
+      class: det.class,
+      name: det.name,
+      confidence: round(det.confidence),
+      box
     };
-    
-    Object.entries(payload).forEach(([key, value]) => {
-      form.append(key, value.toString());
-    });
-
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
-
-    const response = await fetch("https://predict.ultralytics.com", {
-      method: "POST",
-      headers: {
-        "x-api-key": ULTRALYTICS_API_KEY,
-        ...form.getHeaders()
-      },
-      body: form,
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
-    }
+  });
+};
 
-    const data = await response.json();
-    
-    // Extract detections
-    let detections = [];
-    if (data.images?.[0]?.results) {
-      detections = data.images[0].results;
-    } else if (data.predictions?.[0]?.detections) {
-      detections = data.predictions[0].detections;
-    }
+// Classifier output before any policy is applied; this is what gets cached
+const detectWaste = async (source, provider) => {
+  const detections = await normalizeDetections(await provider.detect(source), source);
 
-    // CORRECTED: Class 1 is waste, class 0 is non-waste
-    const wasteDetections = detections.filter(det => det.class === 1);
-    const maxConfidence = wasteDetections.length > 0 
-      ? Math.max(...wasteDetections.map(det => det.confidence)) 
-      : 0;
-
-    const isWaste = maxConfidence >= 0.25;
-    let verification = "unverified";
-    
-    if (isWaste) {
-      if (maxConfidence >= HIGH_CONFIDENCE_THRESHOLD) {
-        verification = "high_confidence";
-      } else if (maxConfidence >= MIN_CONFIDENCE) {
-        verification = "medium_confidence";
-      }
-    }
+  // CORRECTED: Class 1 is waste, class 0 is non-waste
+  const wasteDetections = detections.filter(det => det.class === 1);
+  const maxConfidence = wasteDetections.length > 0
+    ? Math.max(...wasteDetections.map(det => det.confidence))
+    : 0;
 
-    const result = {
-      isWaste,
-      label: isWaste ? "waste" : "non-waste",
-      confidence: maxConfidence,
-      verification,
-      isHighConfidence: maxConfidence >= HIGH_CONFIDENCE_THRESHOLD,
-      isVerifiedWaste: isWaste && maxConfidence >= HIGH_CONFIDENCE_THRESHOLD,
-      modelVersion: "YOLOv8"
-    };
+  return {
+    confidence: maxConfidence,
+    modelVersion: provider.modelVersion,
+    provider: provider.name,
+    detections
+  };
+};
 
-    imageCache.set(hash, result);
-    setTimeout(() => imageCache.delete(hash), 300000);
+// Accepts a base64 string (with or without a data URI prefix), a Buffer or a
+// multipart temp file, which is handed to the provider as a path and never read whole.
+// Thresholds come from the verification policy of the given report type.
+export default async function classifyImage(image, { reportType = 'standard' } = {}) {
+  const source = toImageSource(image);
 
-    return result;
+  const provider = getClassificationProvider();
+  // Keyed by model as well, so switching models doesn't serve stale results
+  const hash = (await updateHashWithImage(createHash('sha256').update(provider.modelVersion), source))
+    .digest('hex');
 
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('SERVICE_TIMEOUT');
-    } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
-      throw new Error('SERVICE_DOWN');
-    } else {
-      throw new Error(`SERVICE_ERROR: ${error.message}`);
+  let detection = await getCachedClassification(hash);
+
+  if (!detection) {
+    try {
+      detection = await detectWaste(source, provider);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('SERVICE_TIMEOUT');
+      } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
+        throw new Error('SERVICE_DOWN');
+      } else {
+        throw new Error(`SERVICE_ERROR: ${error.message}`);
+      }
     }
+    await setCachedClassification(hash, detection);
   }
-}
\ No newline at end of file
+
+  const policy = await getVerificationPolicy(reportType);
+  const { confidence, modelVersion, provider: providerName, detections } = detection;
+
+  return {
+    ...applyPolicyThresholds(confidence, policy),
+    confidence,
+    modelVersion,
+    provider: providerName,
+    reportType: policy.reportType,
+    detections
+  };
+}
+
+// Combines the results for each photo of a report into one verdict. The most
+// confident photo decides, so a single clear shot of the waste verifies the
+// report even if the other angles are inconclusive.
+export function aggregateClassifications(classifications) {
+  if (classifications.length === 1) return classifications[0];
+
+  const imageIndex = classifications.reduce(
+    (best, classification, index) => (classification.confidence > classifications[best].confidence ? index : best),
+    0
+  );
+
+  return {
+    ...classifications[imageIndex],
+    imageIndex,
+    images: classifications.map(({ isWaste, confidence, verification }) => ({ isWaste, confidence, verification }))
+  };
+}
@@ -0,0 +1,19 @@
+import User from '../models/User.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { generateNewCommentTemplate } from '../utils/emailTemplates.js';
+
+// Emails the report author about a new comment; failures are only logged
+export async function notifyReportAuthor(report, comment, commenter) {
+  if (report.user.toString() === commenter._id.toString()) return;
+  try {
+    const author = await User.findById(report.user).select('email username');
+    if (!author) return;
+    await sendEmail({
+      email: author.email,
+      subject: "New comment on your GreenSnap report",
+      message: generateNewCommentTemplate(author.username, commenter.username, report.title, comment.body)
+    });
+  } catch (error) {
+    console.error('Comment notification email failed:', error);
+  }
+}
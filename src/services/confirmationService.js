@@ -0,0 +1,127 @@
+import User from '../models/User.js';
+import { OPEN_STATUSES } from './duplicateDetectionService.js';
+import { uploadImage } from './imageUploadService.js';
+import { readPhotoMetadata, assessPhotoTrust, REVIEW_TRUST_SCORE } from './photoTrustService.js';
+import { CONFIRMATION_POINTS } from './pointsService.js';
+import { parseCoordinates, distanceInMeters } from '../utils/geo.js';
+
+// A confirmation photo must be taken this close to the reported spot
+const MAX_PHOTO_DISTANCE_METERS = parseFloat(process.env.CONFIRMATION_MAX_DISTANCE_METERS) || 200;
+
+// Thrown for problems the client can fix; carries the HTTP status and API code
+export class ConfirmationError extends Error {
+  constructor(message, statusCode, code, details) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Records that `user` has seen the reported pile (stillThere) or found it gone,
+// optionally with a photo taken near the report. Saves the report and credits points.
+// Only photos whose own EXIF GPS puts them at the spot earn points; the submitted
+// coordinates are just the app's word, and photo-less confirmations earn nothing.
+export async function addConfirmation(report, user, { stillThere = true, image, latitude, longitude } = {}) {
+  if (!OPEN_STATUSES.includes(report.status)) {
+    throw new ConfirmationError('This report is no longer open', 409, 'REPORT_NOT_OPEN', {
+      status: report.status
+    });
+  }
+
+  if (report.user.toString() === user._id.toString()) {
+    throw new ConfirmationError('You cannot confirm your own report', 400, 'OWN_REPORT');
+  }
+
+  const alreadyConfirmed = report.confirmations
+    .some(confirmation => confirmation.user.toString() === user._id.toString());
+  if (alreadyConfirmed) {
+    throw new ConfirmationError('You have already confirmed this report', 409, 'ALREADY_CONFIRMED');
+  }
+
+  const confirmation = { user: user._id, stillThere: stillThere !== false };
+  const [reportLng, reportLat] = report.location.coordinates;
+  const reportPosition = { lat: reportLat, lng: reportLng };
+  let pointsEarned = 0;
+
+  if (image && (latitude === undefined || longitude === undefined)) {
+    throw new ConfirmationError('A confirmation photo needs latitude and longitude', 400, 'MISSING_FIELDS', {
+      missingFields: ['location']
+    });
+  }
+
+  if (latitude !== undefined || longitude !== undefined) {
+    const coords = parseCoordinates(latitude, longitude);
+    if (coords.error) {
+      throw new ConfirmationError(coords.error, 400, coords.code);
+    }
+
+    const distance = Math.round(distanceInMeters(coords, reportPosition));
+    if (distance > MAX_PHOTO_DISTANCE_METERS) {
+      throw new ConfirmationError('You are too far from the reported location', 400, 'TOO_FAR', {
+        distance,
+        maxDistance: MAX_PHOTO_DISTANCE_METERS
+      });
+    }
+    Object.assign(confirmation, {
+      location: { type: 'Point', coordinates: [coords.lng, coords.lat] },
+      distance
+    });
+  }
+
+  if (image) {
+    // Read EXIF before upload strips it
+    const metadata = await readPhotoMetadata(image);
+    if (metadata.gps) {
+      const photoDistance = Math.round(distanceInMeters(metadata.gps, reportPosition));
+      if (photoDistance > MAX_PHOTO_DISTANCE_METERS) {
+        throw new ConfirmationError('Photo was taken too far from the reported location', 400, 'TOO_FAR', {
+          distance: photoDistance,
+          maxDistance: MAX_PHOTO_DISTANCE_METERS
+        });
+      }
+      confirmation.photoDistance = photoDistance;
+    }
+
+    const { trustScore } = assessPhotoTrust(metadata, { lat: reportLat, lng: reportLng });
+    confirmation.trustScore = trustScore;
+    if (metadata.gps && trustScore >= REVIEW_TRUST_SCORE) {
+      pointsEarned = CONFIRMATION_POINTS;
+    }
+
+    let uploadResponse;
+    try {
+      uploadResponse = await uploadImage(image, { folder: 'confirmations' });
+    } catch (uploadError) {
+      if (uploadError.message === 'INVALID_IMAGE') {
+        throw new ConfirmationError('Image could not be processed', 400, 'INVALID_IMAGE');
+      }
+      if (uploadError.message === 'CLOUDINARY_TIMEOUT') {
+        throw new ConfirmationError('Image upload timed out', 504, 'CLOUDINARY_TIMEOUT');
+      }
+      throw new ConfirmationError('Image upload failed', 500, 'CLOUDINARY_ERROR', {
+        error: uploadError.message
+      });
+    }
+    Object.assign(confirmation, {
+      image: uploadResponse.url,
+      publicId: uploadResponse.publicId,
+      storageDriver: uploadResponse.storageDriver
+    });
+  }
+
+  confirmation.pointsAwarded = pointsEarned;
+  report.confirmations.push(confirmation);
+  report.recalculatePriority();
+  await report.save();
+
+  if (pointsEarned > 0) {
+    try {
+      await User.findByIdAndUpdate(user._id, { $inc: { points: pointsEarned } });
+    } catch (updateError) {
+      // Silent fail for user points update
+    }
+  }
+
+  return { report, confirmation: report.confirmations[report.confirmations.length - 1], pointsEarned };
+}
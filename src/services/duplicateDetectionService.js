@@ -0,0 +1,63 @@
+import Report from '../models/Report.js';
+import { hammingDistance } from './imageHashService.js';
+
+const DUPLICATE_RADIUS_METERS = parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.DUPLICATE_WINDOW_HOURS) || 72;
+const DUPLICATE_HASH_THRESHOLD = parseInt(process.env.DUPLICATE_HASH_THRESHOLD) || 10;
+// Reports this close are treated as the same spot even when the photos differ
+const SAME_SPOT_METERS = parseFloat(process.env.DUPLICATE_SAME_SPOT_METERS) || 15;
+
+// Statuses where the dump is still out there and a new report adds nothing
+export const OPEN_STATUSES = ['open', 'acknowledged', 'in_progress'];
+
+// Finds open reports near the given point that probably show the same dump
+export async function findDuplicateReports({ lat, lng, imageHash }) {
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const candidates = await Report.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        distanceField: 'distance',
+        maxDistance: DUPLICATE_RADIUS_METERS,
+        spherical: true,
+        query: {
+          status: { $in: OPEN_STATUSES },
+          createdAt: { $gte: since }
+        }
+      }
+    },
+    { $limit: 20 },
+    {
+      $project: {
+        title: 1,
+        image: 1,
+        status: 1,
+        address: 1,
+        imageHash: 1,
+        createdAt: 1,
+        distance: 1
+      }
+    }
+  ]);
+
+  return candidates
+    .map(candidate => {
+      const hashDistance = imageHash && candidate.imageHash
+        ? hammingDistance(imageHash, candidate.imageHash)
+        : null;
+      return {
+        reportId: candidate._id,
+        title: candidate.title,
+        image: candidate.image,
+        status: candidate.status,
+        address: candidate.address,
+        createdAt: candidate.createdAt,
+        distance: Math.round(candidate.distance),
+        imageSimilarity: hashDistance === null ? null : 1 - hashDistance / 64,
+        similarImage: hashDistance !== null && hashDistance <= DUPLICATE_HASH_THRESHOLD
+      };
+    })
+    .filter(candidate => candidate.similarImage || candidate.distance <= SAME_SPOT_METERS)
+    .sort((a, b) => (b.imageSimilarity ?? 0) - (a.imageSimilarity ?? 0) || a.distance - b.distance);
+}
@@ -0,0 +1,112 @@
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import { hashBands, hammingDistance } from './imageHashService.js';
+import { distanceInMeters } from '../utils/geo.js';
+
+// Bits two photo hashes may differ by and still count as the same picture.
+// The band index only guarantees finding matches up to 3 bits; larger values
+// widen what counts as a match among the candidates it returns.
+const FRAUD_HASH_THRESHOLD = parseInt(process.env.FRAUD_HASH_THRESHOLD) || 4;
+// Faster than this between successive reports means the GPS is being faked
+const FRAUD_MAX_SPEED_KMH = parseFloat(process.env.FRAUD_MAX_SPEED_KMH) || 150;
+// Only recent reports are compared, and short hops are ignored (GPS drift)
+const FRAUD_VELOCITY_WINDOW_MINUTES = parseFloat(process.env.FRAUD_VELOCITY_WINDOW_MINUTES) || 120;
+const FRAUD_MIN_DISTANCE_KM = parseFloat(process.env.FRAUD_MIN_DISTANCE_KM) || 2;
+// Confirmed fraud strikes before the account is suspended automatically
+export const FRAUD_SUSPEND_STRIKES = parseInt(process.env.FRAUD_SUSPEND_STRIKES) || 3;
+
+// Any earlier report, by anyone and in any status, with a photo (primary or
+// any of images[]) matching this hash
+export async function findImageReuse(imageHash, { userId, excludeReportId } = {}) {
+  if (!imageHash) return [];
+
+  const filter = { imageHashBands: { $in: hashBands(imageHash) } };
+  if (excludeReportId) filter._id = { $ne: excludeReportId };
+
+  const candidates = await Report.find(filter)
+    .select('user imageHash images.imageHash')
+    .limit(50)
+    .lean();
+
+  return candidates
+    .map(candidate => {
+      const hashes = [candidate.imageHash, ...(candidate.images || []).map(item => item.imageHash)]
+        .filter(Boolean);
+      return {
+        matchedReport: candidate._id,
+        sameUser: Boolean(userId) && candidate.user.toString() === userId.toString(),
+        hashDistance: Math.min(...hashes.map(hash => hammingDistance(imageHash, hash)))
+      };
+    })
+    .filter(match => match.hashDistance <= FRAUD_HASH_THRESHOLD)
+    .sort((a, b) => a.hashDistance - b.hashDistance);
+}
+
+// Compares the new position with the user's recent reports; returns the
+// fastest implausible jump, or null
+export async function checkTravelVelocity(userId, { lat, lng, at = new Date() }) {
+  const since = new Date(at.getTime() - FRAUD_VELOCITY_WINDOW_MINUTES * 60 * 1000);
+  const recent = await Report.find({ user: userId, createdAt: { $gte: since } })
+    .select('location createdAt')
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .lean();
+
+  let worst = null;
+  for (const report of recent) {
+    const [reportLng, reportLat] = report.location.coordinates;
+    const distanceKm = distanceInMeters({ lat, lng }, { lat: reportLat, lng: reportLng }) / 1000;
+    if (distanceKm < FRAUD_MIN_DISTANCE_KM) continue;
+
+    // At least a minute apart so back-to-back submissions don't divide by ~0
+    const hours = Math.max(at - report.createdAt, 60 * 1000) / (60 * 60 * 1000);
+    const speedKmh = distanceKm / hours;
+    if (speedKmh > FRAUD_MAX_SPEED_KMH && (!worst || speedKmh > worst.speedKmh)) {
+      worst = {
+        matchedReport: report._id,
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        speedKmh: Math.round(speedKmh)
+      };
+    }
+  }
+  return worst;
+}
+
+// Runs every check for a new submission (one hash per photo); returns the fraud flags to store on it
+export async function assessSubmissionFraud({ userId, imageHashes, lat, lng }) {
+  const flags = [];
+
+  for (const imageHash of imageHashes) {
+    const [reuse] = await findImageReuse(imageHash, { userId });
+    if (reuse) {
+      flags.push({ type: 'image_reuse', ...reuse });
+      break;
+    }
+  }
+
+  const travel = await checkTravelVelocity(userId, { lat, lng });
+  if (travel) flags.push({ type: 'impossible_travel', ...travel });
+
+  return flags;
+}
+
+// Counts a confirmed fraud against the user and suspends them at the limit.
+// Returns the updated user.
+export async function recordFraudStrike(userId, reason) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { fraudStrikes: 1 } },
+    { new: true }
+  );
+  if (!user || user.suspension?.suspendedAt || user.fraudStrikes < FRAUD_SUSPEND_STRIKES) {
+    return user;
+  }
+
+  user.suspension = {
+    suspendedAt: new Date(),
+    reason: `Automatically suspended after ${user.fraudStrikes} confirmed fraud reports (latest: ${reason})`
+  };
+  await user.save({ validateBeforeSave: false });
+  console.log(`User ${user.email} suspended after ${user.fraudStrikes} fraud strikes`);
+  return user;
+}
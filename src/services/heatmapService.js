@@ -0,0 +1,59 @@
+import Report, { REPORT_TYPES } from '../models/Report.js';
+import { gridCellSize } from '../utils/geo.js';
+
+// Upper bound on cells returned; the densest are kept
+const MAX_CELLS = parseInt(process.env.HEATMAP_MAX_CELLS) || 2000;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Groups the reports matching filter into a square grid sized for the zoom level.
+// Each cell has its report count, per-type counts and the centroid of its reports
+// (a better place for a cluster marker than the cell centre).
+export async function aggregateHeatmap(filter, zoom) {
+  const cellSize = gridCellSize(zoom);
+
+  const cells = await Report.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        lng: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] },
+        reportType: { $ifNull: ['$reportType', 'standard'] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } }
+        },
+        count: { $sum: 1 },
+        lng: { $avg: '$lng' },
+        lat: { $avg: '$lat' },
+        ...Object.fromEntries(REPORT_TYPES.map(type => [
+          type,
+          { $sum: { $cond: [{ $eq: ['$reportType', type] }, 1, 0] } }
+        ]))
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CELLS }
+  ]);
+
+  return {
+    cellSize,
+    cells: cells.map(cell => ({
+      lat: round(cell.lat),
+      lng: round(cell.lng),
+      count: cell.count,
+      types: Object.fromEntries(REPORT_TYPES.map(type => [type, cell[type]])),
+      bounds: [
+        round(cell._id.x * cellSize),
+        round(cell._id.y * cellSize),
+        round((cell._id.x + 1) * cellSize),
+        round((cell._id.y + 1) * cellSize)
+      ]
+    })),
+    truncated: cells.length === MAX_CELLS
+  };
+}
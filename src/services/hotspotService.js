@@ -0,0 +1,168 @@
+import Report, { HIDDEN_STATUSES } from '../models/Report.js';
+import Hotspot from '../models/Hotspot.js';
+import { distanceInMeters, METERS_PER_DEGREE } from '../utils/geo.js';
+
+// Reports within this distance of each other are neighbours
+const HOTSPOT_RADIUS_METERS = parseFloat(process.env.HOTSPOT_RADIUS_METERS) || 150;
+// A cluster needs this many reports...
+const HOTSPOT_MIN_REPORTS = parseInt(process.env.HOTSPOT_MIN_REPORTS) || 5;
+// ...spread over at least this many different weeks to count as chronic
+const HOTSPOT_MIN_WEEKS = parseInt(process.env.HOTSPOT_MIN_WEEKS) || 3;
+const HOTSPOT_LOOKBACK_DAYS = parseInt(process.env.HOTSPOT_LOOKBACK_DAYS) || 90;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Buckets points into a grid of radius-sized cells so neighbour lookups only
+// compare against the 3x3 block around a point instead of every other point
+const buildGridIndex = (points) => {
+  const grid = new Map();
+  const cellOf = (point) => {
+    const y = point.lat * METERS_PER_DEGREE;
+    const x = point.lng * METERS_PER_DEGREE * Math.cos((point.lat * Math.PI) / 180);
+    return [Math.floor(x / HOTSPOT_RADIUS_METERS), Math.floor(y / HOTSPOT_RADIUS_METERS)];
+  };
+
+  points.forEach((point, index) => {
+    const [cx, cy] = cellOf(point);
+    const key = `${cx}:${cy}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  return (index) => {
+    const point = points[index];
+    const [cx, cy] = cellOf(point);
+    const neighbours = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const other of grid.get(`${cx + dx}:${cy + dy}`) || []) {
+          if (distanceInMeters(point, points[other]) <= HOTSPOT_RADIUS_METERS) {
+            neighbours.push(other);
+          }
+        }
+      }
+    }
+    return neighbours;
+  };
+};
+
+// DBSCAN: grows clusters from points with at least HOTSPOT_MIN_REPORTS
+// neighbours; isolated reports are left out
+export const clusterReports = (points) => {
+  const neighboursOf = buildGridIndex(points);
+  const labels = new Array(points.length).fill(undefined);
+  const NOISE = -1;
+  const clusters = [];
+
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== undefined) continue;
+
+    const neighbours = neighboursOf(i);
+    if (neighbours.length < HOTSPOT_MIN_REPORTS) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    const clusterId = clusters.length;
+    const members = [];
+    const queue = [...neighbours];
+    labels[i] = clusterId;
+    members.push(i);
+
+    while (queue.length > 0) {
+      const j = queue.pop();
+      if (labels[j] === NOISE) {
+        labels[j] = clusterId;
+        members.push(j);
+      }
+      if (labels[j] !== undefined) continue;
+
+      labels[j] = clusterId;
+      members.push(j);
+      const more = neighboursOf(j);
+      if (more.length >= HOTSPOT_MIN_REPORTS) queue.push(...more);
+    }
+
+    clusters.push(members.map(index => points[index]));
+  }
+
+  return clusters;
+};
+
+const summarizeCluster = (members) => {
+  const center = {
+    lat: members.reduce((sum, m) => sum + m.lat, 0) / members.length,
+    lng: members.reduce((sum, m) => sum + m.lng, 0) / members.length
+  };
+  const times = members.map(m => m.createdAt.getTime());
+  const typeCounts = { standard: 0, hazardous: 0, large: 0 };
+  members.forEach(m => { typeCounts[m.reportType || 'standard']++; });
+
+  return {
+    center,
+    radius: Math.round(Math.max(...members.map(m => distanceInMeters(center, m)))),
+    reports: members.map(m => m._id),
+    reportCount: members.length,
+    typeCounts,
+    weeksActive: new Set(times.map(time => Math.floor(time / WEEK_MS))).size,
+    firstReportAt: new Date(Math.min(...times)),
+    lastReportAt: new Date(Math.max(...times))
+  };
+};
+
+// Clusters recent reports and creates or refreshes a Hotspot for every cluster
+// that has recurred over enough weeks. Resolved hotspots are left alone; if the
+// site comes back it gets a new hotspot.
+export async function detectHotspots() {
+  const since = new Date(Date.now() - HOTSPOT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const reports = await Report.find({
+    createdAt: { $gte: since },
+    status: { $nin: HIDDEN_STATUSES }
+  })
+    .select('location reportType createdAt')
+    .lean();
+
+  const points = reports
+    .filter(report => report.location?.coordinates?.length === 2)
+    .map(report => ({
+      _id: report._id,
+      lng: report.location.coordinates[0],
+      lat: report.location.coordinates[1],
+      reportType: report.reportType,
+      createdAt: report.createdAt
+    }));
+
+  const chronic = clusterReports(points)
+    .map(summarizeCluster)
+    .filter(cluster => cluster.weeksActive >= HOTSPOT_MIN_WEEKS);
+
+  let created = 0;
+  let updated = 0;
+  const now = new Date();
+
+  for (const cluster of chronic) {
+    const { center, ...stats } = cluster;
+    const location = { type: 'Point', coordinates: [center.lng, center.lat] };
+
+    const existing = await Hotspot.findOne({
+      status: { $in: ['active', 'escalated'] },
+      location: {
+        $nearSphere: {
+          $geometry: location,
+          $maxDistance: Math.max(cluster.radius, HOTSPOT_RADIUS_METERS)
+        }
+      }
+    });
+
+    if (existing) {
+      Object.assign(existing, stats, { location, lastDetectedAt: now });
+      await existing.save();
+      updated++;
+    } else {
+      await Hotspot.create({ ...stats, location, lastDetectedAt: now });
+      created++;
+    }
+  }
+
+  return { reportsScanned: points.length, hotspots: chronic.length, created, updated };
+}
@@ -0,0 +1,55 @@
+import sharp from 'sharp';
+import { toImageSource } from '../utils/imageSource.js';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Difference hash (dHash): a 64-bit fingerprint that survives re-encoding,
+// resizing and small colour changes, returned as 16 hex characters.
+// Accepts base64, a Buffer or a multipart temp file.
+export async function computeImageHash(image) {
+  const pixels = await sharp(toImageSource(image))
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two hashes (0 = identical, 64 = opposite)
+export function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Splits a hash into 4 tagged 16-bit bands ("0:ab12", "1:..."). Two hashes within
+// 3 bits of each other always share at least one band, so an indexed lookup on the
+// bands finds near-identical images without scanning every report.
+export const HASH_BANDS = 4;
+
+export function hashBands(hash) {
+  if (!hash) return [];
+  const size = hash.length / HASH_BANDS;
+  return Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`);
+}
+
+// Bands for every photo of a report, without repeats (empty when none is hashed)
+export function reportHashBands(hashes) {
+  return [...new Set(hashes.filter(Boolean).flatMap(hashBands))];
+}
@@ -0,0 +1,70 @@
+import { getStorage, LEGACY_STORAGE_DRIVER } from '../lib/storage/index.js';
+import { MAX_IMAGE_DIMENSION, isVariant } from '../lib/storage/variants.js';
+import { stripImageMetadata } from './photoTrustService.js';
+import { toImageSource } from '../utils/imageSource.js';
+
+const UPLOAD_TIMEOUT_MS = 15000;
+
+// Uploads an image to the configured storage (see lib/storage), failing with
+// CLOUDINARY_TIMEOUT after 15s (the code predates other drivers and clients rely on it).
+// Accepts a base64 string, a Buffer or a { path } from a multipart upload; files are
+// streamed from disk. The image is resized and its EXIF (including GPS) stripped here,
+// so every driver stores the same public copy. Resolves to { url, publicId, storageDriver };
+// keep storageDriver with the publicId so the image can be found after a driver switch.
+export async function uploadImage(image, { folder = 'reports' } = {}) {
+  const resized = stripImageMetadata(toImageSource(image))
+    .resize({ width: MAX_IMAGE_DIMENSION, withoutEnlargement: true });
+
+  const decodeFailure = new Promise((_, reject) => {
+    resized.on('error', (error) => {
+      console.warn('Could not re-encode image:', error.message);
+      reject(new Error('INVALID_IMAGE'));
+    });
+  });
+
+  const storage = getStorage();
+  const storagePromise = Promise.race([
+    storage.upload(resized, { folder }).then(result => ({ ...result, storageDriver: storage.name })),
+    decodeFailure
+  ]);
+
+  let timer;
+  const uploadTimeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('CLOUDINARY_TIMEOUT')), UPLOAD_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([storagePromise, uploadTimeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Uploads several images in parallel. If any fails, the ones that made it are
+// removed again and the first error is thrown, so callers never get a partial set.
+export async function uploadImages(images, options) {
+  const results = await Promise.allSettled(images.map(image => uploadImage(image, options)));
+  const failed = results.find(result => result.status === 'rejected');
+  if (!failed) return results.map(result => result.value);
+
+  await Promise.all(results
+    .filter(result => result.status === 'fulfilled')
+    .map(result => destroyImage(result.value.publicId, result.value.storageDriver)));
+  throw failed.reason;
+}
+
+// Best-effort removal of an uploaded image from the driver that stored it;
+// failures are only logged
+export async function destroyImage(publicId, storageDriver = LEGACY_STORAGE_DRIVER) {
+  if (!publicId) return;
+  try {
+    await getStorage(storageDriver).delete(publicId);
+  } catch (deleteError) {
+    console.error("Image deletion error:", deleteError);
+  }
+}
+
+// URL of a stored image, or of one of its IMAGE_VARIANTS sizes
+export function getImageUrl(publicId, variant, storageDriver = LEGACY_STORAGE_DRIVER) {
+  return getStorage(storageDriver).getUrl(publicId, isVariant(variant) ? variant : undefined);
+}
@@ -0,0 +1,100 @@
+import User from '../models/User.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import {
+  generateReportApprovedTemplate,
+  generateReportRejectedTemplate
+} from '../utils/emailTemplates.js';
+import { awardReportPoints, revokeReportPoints } from './pointsService.js';
+import { recordFraudStrike } from './fraudDetectionService.js';
+
+// Why a report ended up in the moderation queue
+export const MODERATION_REASONS = [
+  'force_submitted', 'low_confidence', 'user_flagged', 'suspicious_photo', 'suspected_fraud', 'possible_duplicate'
+];
+
+// Emails the reporter about the decision; failures are logged, never thrown
+const notifyReporter = async (report, template, subject) => {
+  try {
+    const reporter = await User.findById(report.user).select('email username');
+    if (!reporter) return;
+    await sendEmail({
+      email: reporter.email,
+      subject,
+      message: template(reporter.username)
+    });
+  } catch (error) {
+    console.error('Moderation email failed:', error);
+  }
+};
+
+// Changes the type, re-crediting the reporter at the new rate if they were already paid
+export async function changeReportType(report, reportType) {
+  if (report.reportType === reportType) return;
+
+  const wasCredited = report.pointsAwarded !== 0;
+  if (wasCredited) await revokeReportPoints(report);
+  report.reportType = reportType;
+  if (wasCredited) await awardReportPoints(report);
+}
+
+// Publishes the report and finalizes its points
+export async function approveReport(report, moderatorId, { note, reportType } = {}) {
+  if (reportType) await changeReportType(report, reportType);
+
+  report.set({
+    'moderation.status': 'approved',
+    'moderation.reviewedBy': moderatorId,
+    'moderation.reviewedAt': new Date(),
+    'moderation.note': note
+  });
+
+  if (report.status === 'pending_verification') {
+    report.changeStatus('open', moderatorId, 'Approved by moderator');
+  }
+
+  // 0 means points were held; undefined is a legacy report credited on submission
+  let pointsEarned = 0;
+  if (report.pointsAwarded === 0) {
+    pointsEarned = await awardReportPoints(report);
+  }
+
+  await report.save();
+
+  notifyReporter(
+    report,
+    (username) => generateReportApprovedTemplate(username, report.title, pointsEarned),
+    "Your GreenSnap report was approved"
+  );
+
+  return { report, pointsEarned };
+}
+
+// Takes the report out of circulation and reverses any points it earned
+export async function rejectReport(report, moderatorId, reason) {
+  report.set({
+    'moderation.status': 'rejected',
+    'moderation.reviewedBy': moderatorId,
+    'moderation.reviewedAt': new Date(),
+    'moderation.note': reason
+  });
+
+  if (report.status !== 'rejected') {
+    report.changeStatus('rejected', moderatorId, reason);
+  }
+
+  const pointsRevoked = await revokeReportPoints(report);
+  await report.save();
+
+  // Rejecting a fraud-flagged report confirms the fraud
+  if (report.fraudFlags?.length > 0) {
+    await recordFraudStrike(report.user, reason || report.fraudFlags[0].type);
+  }
+
+  notifyReporter(
+    report,
+    (username) => generateReportRejectedTemplate(username, report.title, reason),
+    "Your GreenSnap report was not approved"
+  );
+
+  return { report, pointsRevoked };
+}
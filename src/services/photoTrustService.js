@@ -0,0 +1,146 @@
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { distanceInMeters } from '../utils/geo.js';
+import { toImageSource } from '../utils/imageSource.js';
+
+// How far the photo's EXIF may disagree with what the app submitted
+const TIME_TOLERANCE_MINUTES = parseFloat(process.env.EXIF_TIME_TOLERANCE_MINUTES) || 30;
+const GPS_TOLERANCE_METERS = parseFloat(process.env.EXIF_GPS_TOLERANCE_METERS) || 500;
+// Photos taken longer ago than this are treated as old gallery pictures
+const MAX_PHOTO_AGE_HOURS = parseFloat(process.env.EXIF_MAX_PHOTO_AGE_HOURS) || 72;
+// Reports scoring below this go to a moderator
+export const REVIEW_TRUST_SCORE = parseFloat(process.env.EXIF_REVIEW_TRUST_SCORE) || 0.5;
+
+// Without a time zone EXIF times are local wall-clock time, which can be up to 14h off UTC
+const UNKNOWN_ZONE_SLACK_MINUTES = 14 * 60;
+
+// Score deductions per finding
+const PENALTIES = {
+  no_exif: 0.2,
+  no_gps: 0.1,
+  capture_time_mismatch: 0.25,
+  stale_photo: 0.3,
+  future_capture: 0.25,
+  gps_mismatch: 0.4,
+  edited_photo: 0.15
+};
+
+const EDITING_SOFTWARE = /photoshop|gimp|lightroom|snapseed|picsart|canva|pixlr|affinity/i;
+
+const dmsToDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(part => typeof part !== 'number')) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+// exif-reader returns wall-clock times as if they were UTC; shift by the
+// recorded offset ("+02:00") when there is one
+const applyOffset = (date, offset) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+  if (!match) return null;
+  const minutes = (Number(match[2]) * 60 + Number(match[3])) * (match[1] === '-' ? -1 : 1);
+  return new Date(date.getTime() - minutes * 60 * 1000);
+};
+
+// GPS time is always UTC: GPSDateStamp "YYYY:MM:DD" plus GPSTimeStamp [h, m, s]
+const gpsTime = (gps) => {
+  const date = /^(\d{4}):(\d{2}):(\d{2})$/.exec(gps?.GPSDateStamp || '');
+  const time = gps?.GPSTimeStamp;
+  if (!date || !Array.isArray(time) || time.length !== 3) return null;
+  const result = new Date(Date.UTC(date[1], date[2] - 1, date[3], time[0], time[1], Math.floor(time[2])));
+  return isNaN(result.getTime()) ? null : result;
+};
+
+// Reads capture time, GPS position and camera details from the original upload
+// (base64, Buffer or temp file; only the file header is read)
+export async function readPhotoMetadata(image) {
+  let exif;
+  try {
+    const { exif: raw } = await sharp(toImageSource(image)).metadata();
+    exif = raw ? exifReader(raw) : null;
+  } catch (error) {
+    console.warn('Could not read photo EXIF:', error.message);
+    exif = null;
+  }
+
+  if (!exif) return { hasExif: false };
+
+  const gps = exif.GPSInfo;
+  const lat = dmsToDegrees(gps?.GPSLatitude, gps?.GPSLatitudeRef);
+  const lng = dmsToDegrees(gps?.GPSLongitude, gps?.GPSLongitudeRef);
+
+  const original = exif.Photo?.DateTimeOriginal || exif.Image?.DateTime;
+  let capturedAt = gpsTime(gps);
+  let zoneKnown = Boolean(capturedAt);
+  if (!capturedAt && original instanceof Date && !isNaN(original.getTime())) {
+    capturedAt = applyOffset(original, exif.Photo?.OffsetTimeOriginal || exif.Photo?.OffsetTime);
+    zoneKnown = Boolean(capturedAt);
+    capturedAt = capturedAt || original;
+  }
+
+  return {
+    hasExif: true,
+    capturedAt,
+    zoneKnown,
+    gps: lat !== null && lng !== null ? { lat, lng } : null,
+    camera: [exif.Image?.Make, exif.Image?.Model].filter(Boolean).join(' ').trim() || undefined,
+    software: exif.Image?.Software
+  };
+}
+
+// Compares the EXIF with the submitted time and place. Returns a 0-1 trustScore,
+// the flags that lowered it and what can be stored on the report (the EXIF
+// position itself is not kept, only its distance from the reported spot).
+export function assessPhotoTrust(metadata, { photoTimestamp, lat, lng, receivedAt = new Date() }) {
+  const flags = [];
+  const check = { hasExif: metadata.hasExif };
+
+  if (!metadata.hasExif) {
+    flags.push('no_exif');
+  } else {
+    check.camera = metadata.camera;
+    check.capturedAt = metadata.capturedAt;
+
+    if (metadata.capturedAt) {
+      const slack = metadata.zoneKnown ? 0 : UNKNOWN_ZONE_SLACK_MINUTES;
+      const minutesFrom = (date) => Math.abs(metadata.capturedAt - date) / 60000;
+
+      if (photoTimestamp && minutesFrom(photoTimestamp) > TIME_TOLERANCE_MINUTES + slack) {
+        flags.push('capture_time_mismatch');
+      }
+      const ageMinutes = (receivedAt - metadata.capturedAt) / 60000;
+      if (ageMinutes > MAX_PHOTO_AGE_HOURS * 60 + slack) {
+        flags.push('stale_photo');
+      } else if (ageMinutes < -(TIME_TOLERANCE_MINUTES + slack)) {
+        flags.push('future_capture');
+      }
+    }
+
+    if (!metadata.gps) {
+      flags.push('no_gps');
+    } else if (lat !== undefined && lng !== undefined) {
+      check.gpsDistance = Math.round(distanceInMeters(metadata.gps, { lat, lng }));
+      if (check.gpsDistance > GPS_TOLERANCE_METERS) flags.push('gps_mismatch');
+    }
+
+    if (metadata.software && EDITING_SOFTWARE.test(metadata.software)) {
+      flags.push('edited_photo');
+    }
+  }
+
+  const penalty = flags.reduce((sum, flag) => sum + PENALTIES[flag], 0);
+  const trustScore = Math.round(Math.max(0, 1 - penalty) * 100) / 100;
+
+  return {
+    trustScore,
+    flags,
+    photoCheck: { ...check, flags, checkedAt: new Date() }
+  };
+}
+
+// Re-encodes the photo (a Buffer or file path) without any metadata (GPS, camera
+// serials...) for the public copy, baking the EXIF orientation into the pixels first.
+// Returns the sharp pipeline, so it can be streamed or collected with toBuffer().
+export function stripImageMetadata(input) {
+  return sharp(input).rotate().jpeg({ quality: 90 });
+}
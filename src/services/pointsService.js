@@ -0,0 +1,72 @@
+import User from '../models/User.js';
+
+// Points for a verified report, by report type
+export const REPORT_POINTS = { standard: 10, hazardous: 20, large: 15 };
+
+// Bonus points for proving a cleanup, by report type
+export const CLEANUP_POINTS = { standard: 15, hazardous: 30, large: 25 };
+
+// Small reward for confirming someone else's report with a photo taken on the spot
+export const CONFIRMATION_POINTS = 3;
+
+export const getReportPoints = (reportType) => REPORT_POINTS[reportType] || REPORT_POINTS.standard;
+
+export const getCleanupPoints = (reportType) => CLEANUP_POINTS[reportType] || CLEANUP_POINTS.standard;
+
+// Credits the reporter and records the amount on the report (caller saves the report)
+export async function awardReportPoints(report) {
+  const points = getReportPoints(report.reportType);
+  try {
+    await User.findByIdAndUpdate(report.user, {
+      $inc: { reportCount: 1, points }
+    });
+    report.pointsAwarded = points;
+  } catch (updateError) {
+    // Silent fail for user points update
+    console.error("Award points error:", updateError);
+  }
+  return report.pointsAwarded || 0;
+}
+
+// Takes back whatever the report earned. Reports saved before pointsAwarded
+// existed were always credited at submission, so fall back to the type's value.
+export async function revokeReportPoints(report) {
+  const points = report.pointsAwarded ?? getReportPoints(report.reportType);
+  if (!points) return 0;
+
+  await User.findByIdAndUpdate(report.user, {
+    $inc: { reportCount: -1, points: -points }
+  });
+  report.pointsAwarded = 0;
+  return points;
+}
+
+// Credits the cleaner once a moderator verifies the cleanup (caller saves the report)
+export async function awardCleanupPoints(report) {
+  if (!report.cleanup?.cleanedBy || report.cleanup.pointsAwarded > 0) return 0;
+
+  const points = getCleanupPoints(report.reportType);
+  try {
+    await User.findByIdAndUpdate(report.cleanup.cleanedBy, {
+      $inc: { cleanupCount: 1, points }
+    });
+    report.cleanup.pointsAwarded = points;
+  } catch (updateError) {
+    // Silent fail for user points update
+    console.error("Award cleanup points error:", updateError);
+  }
+  return report.cleanup.pointsAwarded || 0;
+}
+
+// Takes back cleanup points when a cleaned report is reopened; cleanups from
+// before points were held until verification were credited on submission
+export async function revokeCleanupPoints(report) {
+  const points = report.cleanup?.pointsAwarded;
+  if (!points) return 0;
+
+  await User.findByIdAndUpdate(report.cleanup.cleanedBy, {
+    $inc: { cleanupCount: -1, points: -points }
+  });
+  report.cleanup.pointsAwarded = 0;
+  return points;
+}
@@ -0,0 +1,130 @@
+import Report from '../models/Report.js';
+
+// Fields written by every format
+export const EXPORT_FIELDS = [
+  'id', 'title', 'reportType', 'status', 'address', 'longitude', 'latitude',
+  'createdTime', 'photoTimestamp', 'createdAt', 'updatedAt', 'image'
+];
+
+const toRow = (report) => {
+  const [longitude, latitude] = report.location?.coordinates || [];
+  const date = (value) => (value ? new Date(value).toISOString() : '');
+  return {
+    id: report._id.toString(),
+    title: report.title,
+    reportType: report.reportType || 'standard',
+    status: report.status,
+    address: report.address,
+    longitude,
+    latitude,
+    createdTime: date(report.createdTime),
+    photoTimestamp: date(report.photoTimestamp),
+    createdAt: date(report.createdAt),
+    updatedAt: date(report.updatedAt),
+    image: report.image
+  };
+};
+
+// Quotes fields when needed and defuses values spreadsheets would run as formulas
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlValue = (value = '') => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+}[char]));
+
+// Each format is written as header, one chunk per report, footer
+export const EXPORT_FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (row, index) => {
+      const { longitude, latitude, ...properties } = row;
+      const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    footer: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${EXPORT_FIELDS.join(',')}\r\n`,
+    row: (row) => `${EXPORT_FIELDS.map(field => csvValue(row[field])).join(',')}\r\n`,
+    footer: () => ''
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>GreenSnap reports</name>\n',
+    row: (row) => {
+      const data = EXPORT_FIELDS
+        .filter(field => !['title', 'longitude', 'latitude'].includes(field))
+        .map(field => `<Data name="${field}"><value>${xmlValue(row[field])}</value></Data>`)
+        .join('');
+      return `<Placemark><name>${xmlValue(row.title)}</name><ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point></Placemark>\n`;
+    },
+    footer: () => '</Document></kml>\n'
+  }
+};
+
+// Streams every report matching the filter to res in the given format. Reads
+// through a Mongo cursor and waits for the client to drain, so memory use stays
+// flat however many reports match.
+export async function streamReportExport(res, { filter, sort, format }) {
+  const writer = EXPORT_FORMATS[format];
+  const cursor = Report.find(filter)
+    .sort(sort)
+    .select('title reportType status address location createdTime photoTimestamp createdAt updatedAt image')
+    .lean()
+    .cursor();
+
+  // Stop reading from Mongo if the client goes away mid-download
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', writer.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="reports-${stamp}.${writer.extension}"`);
+
+  // Resolves on close too, otherwise an aborted download would wait forever
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) await waitForDrain();
+  };
+
+  await write(writer.header());
+  let index = 0;
+  for await (const report of cursor) {
+    if (aborted) return index;
+    await write(writer.row(toRow(report), index));
+    index++;
+  }
+  await write(writer.footer());
+  res.end();
+  return index;
+}
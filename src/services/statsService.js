@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import Report, { HIDDEN_STATUSES, REPORT_TYPES } from '../models/Report.js';
+import User from '../models/User.js';
+import { LRUCache } from '../lib/lruCache.js';
+import { gridCellSize } from '../utils/geo.js';
+
+const CLEANED_STATUSES = ['cleaned', 'verified'];
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Dashboard numbers only need to be roughly current
+const STATS_CACHE_TTL_SECONDS = parseInt(process.env.STATS_CACHE_TTL_SECONDS) || 300;
+const cache = new LRUCache({ max: 500, ttlMs: STATS_CACHE_TTL_SECONDS * 1000 });
+// Personal stats change as soon as the user does something, so expire sooner
+const personalCache = new LRUCache({ max: 1000, ttlMs: 60 * 1000 });
+
+const cached = async (store, name, params, compute) => {
+  const key = `${name}:${JSON.stringify(params)}`;
+  const hit = store.get(key);
+  if (hit !== undefined) return hit;
+
+  const value = await compute();
+  store.set(key, value);
+  return value;
+};
+
+const round = (value, digits = 4) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const ratio = (part, total) => (total > 0 ? round(part / total) : null);
+
+// Reports visible to the public that were submitted in the range
+const publicReportsIn = ({ from, to }) => ({
+  createdAt: { $gte: from, $lte: to },
+  status: { $nin: HIDDEN_STATUSES }
+});
+
+const typeCounters = () => Object.fromEntries(REPORT_TYPES.map(type => [
+  type,
+  { $sum: { $cond: [{ $eq: [{ $ifNull: ['$reportType', 'standard'] }, type] }, 1, 0] } }
+]));
+
+// Median of a numeric expression over the matched reports. Sorts and skips to
+// the middle instead of loading every value, and works on Mongo versions without $median.
+const medianOf = async (match, valueExpression) => {
+  const base = [
+    { $match: match },
+    { $project: { value: valueExpression } },
+    { $match: { value: { $ne: null } } }
+  ];
+
+  const [{ count = 0 } = {}] = await Report.aggregate([...base, { $count: 'count' }]);
+  if (count === 0) return { median: null, count };
+
+  const middle = await Report.aggregate([
+    ...base,
+    { $sort: { value: 1 } },
+    { $skip: Math.floor((count - 1) / 2) },
+    { $limit: count % 2 === 0 ? 2 : 1 }
+  ]);
+
+  const median = middle.reduce((sum, item) => sum + item.value, 0) / middle.length;
+  return { median, count };
+};
+
+// Reports per day or week, split by report type
+export const getReportSeries = (range, interval) => cached(cache, 'reports', { ...range, interval }, async () => {
+  const series = await Report.aggregate([
+    { $match: publicReportsIn(range) },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+        total: { $sum: 1 },
+        ...typeCounters()
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    interval,
+    series: series.map(({ _id, ...counts }) => ({ period: _id, ...counts }))
+  };
+});
+
+// Share of reports in the range that have been cleaned, and how long that took
+export const getCleanupStats = (range) => cached(cache, 'cleanup', range, async () => {
+  const match = publicReportsIn(range);
+  const [totals = { total: 0, cleaned: 0 }] = await Report.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        cleaned: { $sum: { $cond: [{ $in: ['$status', CLEANED_STATUSES] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const { median } = await medianOf(
+    { ...match, 'cleanup.cleanedAt': { $exists: true } },
+    { $subtract: ['$cleanup.cleanedAt', '$createdAt'] }
+  );
+
+  return {
+    totalReports: totals.total,
+    cleanedReports: totals.cleaned,
+    cleanupRate: ratio(totals.cleaned, totals.total),
+    medianHoursToClean: median === null ? null : round(median / MS_PER_HOUR, 1)
+  };
+});
+
+// Users who submitted at least one report in the range
+export const getReporterStats = (range) => cached(cache, 'reporters', range, async () => {
+  const [result = { activeReporters: 0, reports: 0 }] = await Report.aggregate([
+    { $match: publicReportsIn(range) },
+    { $group: { _id: '$user', reports: { $sum: 1 } } },
+    { $group: { _id: null, activeReporters: { $sum: 1 }, reports: { $sum: '$reports' } } }
+  ]);
+
+  const newUsers = await User.countDocuments({
+    accountVerified: true,
+    createdAt: { $gte: range.from, $lte: range.to }
+  });
+
+  return {
+    activeReporters: result.activeReporters,
+    reportsPerReporter: result.activeReporters ? round(result.reports / result.activeReporters, 2) : null,
+    newUsers
+  };
+});
+
+// How submissions fared with the classifier and with moderators. Includes
+// rejected and pending reports, since those are part of the pass rate.
+export const getVerificationStats = (range) => cached(cache, 'verification', range, async () => {
+  const [result] = await Report.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+    {
+      $facet: {
+        outcomes: [
+          { $match: { 'aiVerification.verification': { $exists: true } } },
+          { $group: { _id: '$aiVerification.verification', count: { $sum: 1 } } }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              classified: {
+                $sum: { $cond: [{ $in: ['$aiVerification.isWaste', [true, false]] }, 1, 0] }
+              },
+              passed: { $sum: { $cond: [{ $eq: ['$aiVerification.isWaste', true] }, 1, 0] } },
+              forceSubmitted: { $sum: { $cond: [{ $eq: ['$aiVerification.forceSubmit', true] }, 1, 0] } },
+              moderated: { $sum: { $cond: [{ $ifNull: ['$moderation.status', false] }, 1, 0] } },
+              moderationApproved: { $sum: { $cond: [{ $eq: ['$moderation.status', 'approved'] }, 1, 0] } },
+              moderationRejected: { $sum: { $cond: [{ $eq: ['$moderation.status', 'rejected'] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || {
+    total: 0, classified: 0, passed: 0, forceSubmitted: 0, moderated: 0, moderationApproved: 0, moderationRejected: 0
+  };
+
+  return {
+    totalReports: totals.total,
+    classifiedReports: totals.classified,
+    passRate: ratio(totals.passed, totals.classified),
+    forceSubmitted: totals.forceSubmitted,
+    byVerification: Object.fromEntries(result.outcomes.map(outcome => [outcome._id, outcome.count])),
+    moderation: {
+      total: totals.moderated,
+      approved: totals.moderationApproved,
+      rejected: totals.moderationRejected,
+      approvalRate: ratio(totals.moderationApproved, totals.moderationApproved + totals.moderationRejected)
+    }
+  };
+});
+
+// Totals per grid cell (same grid as the heatmap), optionally within a bbox polygon
+export const getAreaStats = (range, { zoom, polygon }) => cached(cache, 'areas', { ...range, zoom, polygon }, async () => {
+  const cellSize = gridCellSize(zoom);
+  const match = publicReportsIn(range);
+  if (polygon) match.location = { $geoWithin: { $geometry: polygon } };
+
+  const areas = await Report.aggregate([
+    { $match: match },
+    {
+      $project: {
+        lng: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] },
+        status: 1,
+        reportType: 1
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } }
+        },
+        total: { $sum: 1 },
+        cleaned: { $sum: { $cond: [{ $in: ['$status', CLEANED_STATUSES] }, 1, 0] } },
+        ...typeCounters()
+      }
+    },
+    { $sort: { total: -1 } },
+    { $limit: 100 }
+  ]);
+
+  return {
+    cellSize,
+    areas: areas.map(({ _id, total, cleaned, ...types }) => ({
+      bounds: [_id.x * cellSize, _id.y * cellSize, (_id.x + 1) * cellSize, (_id.y + 1) * cellSize]
+        .map(value => round(value, 6)),
+      total,
+      cleaned,
+      cleanupRate: ratio(cleaned, total),
+      types
+    }))
+  };
+});
+
+// One user's own impact: what they reported, what got cleaned, what they cleaned
+export const getPersonalStats = (userId, range) => cached(personalCache, 'me', { userId: String(userId), ...range }, async () => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+
+  const [reported] = await Report.aggregate([
+    { $match: { user, status: { $nin: HIDDEN_STATUSES } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              cleaned: { $sum: { $cond: [{ $in: ['$status', CLEANED_STATUSES] }, 1, 0] } },
+              confirmationsReceived: { $sum: { $ifNull: ['$confirmationCount', 0] } },
+              ...typeCounters()
+            }
+          }
+        ],
+        series: [
+          { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } },
+              reports: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const cleanups = await Report.aggregate([
+    { $match: { 'cleanup.cleanedBy': user, 'cleanup.cleanedAt': { $gte: range.from, $lte: range.to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$cleanup.cleanedAt', unit: 'week', startOfWeek: 'monday' } },
+        cleanups: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const confirmationsGiven = await Report.countDocuments({ 'confirmations.user': user });
+  const profile = await User.findById(user).select('points reportCount cleanupCount').lean();
+
+  // Merge both weekly series into one timeline
+  const weeks = new Map();
+  for (const { _id, reports } of reported.series) {
+    weeks.set(_id.getTime(), { period: _id, reports, cleanups: 0 });
+  }
+  for (const { _id, cleanups: count } of cleanups) {
+    const week = weeks.get(_id.getTime()) || { period: _id, reports: 0, cleanups: 0 };
+    week.cleanups = count;
+    weeks.set(_id.getTime(), week);
+  }
+
+  const { _id, ...totals } = reported.totals[0] || {
+    total: 0, cleaned: 0, confirmationsReceived: 0, standard: 0, hazardous: 0, large: 0
+  };
+  const { total, cleaned, confirmationsReceived, ...types } = totals;
+
+  return {
+    points: profile?.points || 0,
+    reports: {
+      total,
+      cleaned,
+      cleanupRate: ratio(cleaned, total),
+      types
+    },
+    cleanupsDone: profile?.cleanupCount || 0,
+    confirmationsGiven,
+    confirmationsReceived,
+    timeline: [...weeks.values()].sort((a, b) => a.period - b.period)
+  };
+});
@@ -0,0 +1,164 @@
+import VerificationPolicy from '../models/VerificationPolicy.js';
+
+export const POLICY_FIELDS = [
+  'wasteThreshold', 'mediumConfidence', 'highConfidence', 'acceptConfidence', 'reviewConfidence'
+];
+
+// Built-in thresholds, used until an admin stores an override.
+// Hazardous dumps go to human review at much lower confidence than the rest.
+export const DEFAULT_POLICIES = {
+  standard: {
+    wasteThreshold: 0.25,
+    mediumConfidence: 0.65,
+    highConfidence: 0.85,
+    acceptConfidence: 0.7,
+    reviewConfidence: 0.5
+  },
+  large: {
+    wasteThreshold: 0.25,
+    mediumConfidence: 0.65,
+    highConfidence: 0.85,
+    acceptConfidence: 0.7,
+    reviewConfidence: 0.5
+  },
+  hazardous: {
+    wasteThreshold: 0.25,
+    mediumConfidence: 0.65,
+    highConfidence: 0.85,
+    acceptConfidence: 0.7,
+    reviewConfidence: 0.3
+  }
+};
+
+// Overrides are cached briefly so every instance sees admin changes within a minute
+const POLICY_CACHE_MS = 60 * 1000;
+let cachedOverrides = null;
+let cachedAt = 0;
+
+const loadOverrides = async () => {
+  if (cachedOverrides && Date.now() - cachedAt < POLICY_CACHE_MS) {
+    return cachedOverrides;
+  }
+  try {
+    const overrides = await VerificationPolicy.find().lean();
+    cachedOverrides = Object.fromEntries(overrides.map(policy => [policy.reportType, policy]));
+    cachedAt = Date.now();
+  } catch (error) {
+    // Fall back to whatever we had (or the defaults) if Mongo is unavailable
+    console.error('Verification policy load error:', error.message);
+    return cachedOverrides || {};
+  }
+  return cachedOverrides;
+};
+
+export const invalidatePolicyCache = () => {
+  cachedOverrides = null;
+};
+
+export async function getVerificationPolicy(reportType = 'standard') {
+  const type = DEFAULT_POLICIES[reportType] ? reportType : 'standard';
+  const overrides = await loadOverrides();
+  const policy = { ...DEFAULT_POLICIES[type] };
+
+  if (overrides[type]) {
+    POLICY_FIELDS.forEach(field => {
+      if (typeof overrides[type][field] === 'number') policy[field] = overrides[type][field];
+    });
+  }
+
+  return { reportType: type, ...policy };
+}
+
+export async function getAllVerificationPolicies() {
+  return Promise.all(Object.keys(DEFAULT_POLICIES).map(type => getVerificationPolicy(type)));
+}
+
+// Returns an error message if the thresholds are out of order, otherwise null
+export function validatePolicy(policy) {
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+      return `${field} must be a number between 0 and 1`;
+    }
+  }
+  if (policy.mediumConfidence > policy.highConfidence) {
+    return 'mediumConfidence cannot be higher than highConfidence';
+  }
+  if (policy.reviewConfidence > policy.acceptConfidence) {
+    return 'reviewConfidence cannot be higher than acceptConfidence';
+  }
+  if (policy.wasteThreshold > policy.reviewConfidence) {
+    return 'wasteThreshold cannot be higher than reviewConfidence';
+  }
+  return null;
+}
+
+// Turns the classifier's best waste confidence into isWaste and a confidence tier
+export function applyPolicyThresholds(confidence, policy) {
+  const isWaste = confidence >= policy.wasteThreshold;
+  let verification = "unverified";
+
+  if (isWaste) {
+    if (confidence >= policy.highConfidence) {
+      verification = "high_confidence";
+    } else if (confidence >= policy.mediumConfidence) {
+      verification = "medium_confidence";
+    }
+  }
+
+  return {
+    isWaste,
+    label: isWaste ? "waste" : "non-waste",
+    verification,
+    isHighConfidence: confidence >= policy.highConfidence,
+    isVerifiedWaste: isWaste && confidence >= policy.highConfidence
+  };
+}
+
+// Decides what happens to a report: accept (publish), moderate (human review) or reject.
+// Returns { decision, accepted, code, message } where code matches the API error codes.
+export async function evaluateClassification(classification, reportType = 'standard') {
+  const policy = await getVerificationPolicy(reportType);
+
+  if (!classification.isWaste) {
+    return {
+      decision: 'reject',
+      accepted: false,
+      code: 'NOT_WASTE',
+      message: 'Image does not show recognizable waste'
+    };
+  }
+
+  if (classification.confidence >= policy.acceptConfidence) {
+    return { decision: 'accept', accepted: true, code: 'VERIFIED', message: 'Waste verified' };
+  }
+
+  if (classification.confidence >= policy.reviewConfidence) {
+    return {
+      decision: 'moderate',
+      accepted: false,
+      code: 'PENDING_REVIEW',
+      message: 'Waste detection needs a moderator review'
+    };
+  }
+
+  return {
+    decision: 'reject',
+    accepted: false,
+    code: 'LOW_CONFIDENCE',
+    message: 'Low confidence in waste detection'
+  };
+}
+
+// Shape stored on Report.aiVerification for a classifier result
+export const toAiVerification = (classification, source = 'submission') => ({
+  isWaste: classification.isWaste,
+  confidence: classification.confidence,
+  verification: classification.verification,
+  modelVersion: classification.modelVersion,
+  imageIndex: classification.imageIndex,
+  forceSubmit: false,
+  detections: classification.detections,
+  source,
+  classifiedAt: new Date()
+});
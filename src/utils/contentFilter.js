@@ -0,0 +1,49 @@
+// Lightweight profanity and spam checks for user-written text (comments)
+
+const DEFAULT_BLOCKED_WORDS = [
+  "fuck", "shit", "bitch", "bastard", "asshole", "cunt", "slut", "whore", "fag", "nigger", "retard"
+];
+
+const blockedWords = [
+  ...DEFAULT_BLOCKED_WORDS,
+  ...(process.env.PROFANITY_WORDS || "").split(",").map(word => word.trim().toLowerCase()).filter(Boolean)
+];
+
+// Undo common character swaps ("sh1t", "$hit") before matching
+const normalize = (text) => text
+  .toLowerCase()
+  .replace(/[@4]/g, "a")
+  .replace(/3/g, "e")
+  .replace(/[1!|]/g, "i")
+  .replace(/0/g, "o")
+  .replace(/[$5]/g, "s")
+  .replace(/7/g, "t");
+
+// Words come from env config, so treat them as literals ("c++" must not break the pattern)
+const escapeRegExp = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const profanityPattern = new RegExp(`\\b(${blockedWords.map(escapeRegExp).join("|")})\\w*`, "i");
+
+// Returns { action: "allow" | "review" | "block", reasons: [] }.
+// Profanity is blocked outright; spam-like text is let through for a moderator to review.
+export const checkContent = (text) => {
+  const reasons = [];
+
+  if (profanityPattern.test(normalize(text))) {
+    return { action: "block", reasons: ["profanity"] };
+  }
+
+  const links = text.match(/(https?:\/\/|www\.)\S+/gi) || [];
+  if (links.length > 2) reasons.push("too_many_links");
+
+  if (/(.)\1{9,}/.test(text)) reasons.push("repeated_characters");
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters === letters.toUpperCase()) reasons.push("all_caps");
+
+  if (/\b(buy now|free money|click here|whatsapp me|crypto giveaway)\b/i.test(text)) {
+    reasons.push("spam_phrases");
+  }
+
+  return { action: reasons.length > 0 ? "review" : "allow", reasons };
+};
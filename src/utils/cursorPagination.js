@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Opaque keyset cursors: base64url JSON holding the sort name and the sort-key
+// values of the last item, so the next page starts strictly after it. Unlike
+// skip/limit this stays fast on large collections and doesn't repeat or skip
+// items when new reports arrive while someone scrolls.
+
+const serialize = (value) => {
+  if (value instanceof Date) return { d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value;
+};
+
+// Cursors come from the client, so only the shapes serialize() produces are
+// accepted; anything else (e.g. an object carrying Mongo operators) is undefined
+const deserialize = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+  const keys = Object.keys(value);
+  if (keys.length !== 1) return undefined;
+  if (keys[0] === 'd' && Number.isFinite(value.d)) return new Date(value.d);
+  if (keys[0] === 'o' && typeof value.o === 'string' && /^[0-9a-f]{24}$/i.test(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  return undefined;
+};
+
+// Sort keys with _id appended as the tie-breaker
+const sortKeys = (sort) => {
+  const keys = Object.entries(sort);
+  if (!sort._id) keys.push(['_id', keys.length ? keys[keys.length - 1][1] : -1]);
+  return keys;
+};
+
+export const withTieBreaker = (sort) => Object.fromEntries(sortKeys(sort));
+
+export const encodeCursor = (doc, sort, sortName) => {
+  const values = sortKeys(sort).map(([field]) => serialize(doc[field]));
+  return Buffer.from(JSON.stringify({ s: sortName, v: values })).toString('base64url');
+};
+
+// Returns the cursor's values, or null if it is malformed or from another sort
+export const decodeCursor = (cursor, sort, sortName) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (parsed.s !== sortName || !Array.isArray(parsed.v) || parsed.v.length !== sortKeys(sort).length) {
+      return null;
+    }
+    const values = parsed.v.map(deserialize);
+    if (values.some(value => value === null || value === undefined)) return null;
+    return values;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mongo condition for "after this cursor" given the sort, e.g. for
+// { createdAt: -1, _id: -1 }: createdAt < c OR (createdAt = c AND _id < id)
+export const buildCursorFilter = (sort, values) => {
+  const keys = sortKeys(sort);
+  return {
+    $or: keys.map(([field, direction], index) => {
+      const condition = {};
+      for (let i = 0; i < index; i++) {
+        condition[keys[i][0]] = values[i];
+      }
+      condition[field] = { [direction === -1 ? '$lt' : '$gt']: values[index] };
+      return condition;
+    })
+  };
+};
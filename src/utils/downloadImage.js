@@ -0,0 +1,18 @@
+import fetch from 'node-fetch';
+import { Buffer } from 'buffer';
+
+// Fetches a stored image (e.g. a Cloudinary URL) into a Buffer
+export const downloadImage = async (url, { timeoutMs = 15000 } = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Image download failed with status ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  } finally {
+    clearTimeout(timeout);
+  }
+};
@@ -344,4 +344,100 @@ export const generateWelcomeTemplate = (username) => {
   </body>
   </html>
   `;
-};
\ No newline at end of file
+};
+// Report text comes from users, so escape it before putting it in HTML
+const escapeHtml = (value = "") => String(value).replace(/[&<>"']/g, (char) => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+}[char]));
+
+// Shared layout for short report notifications
+const generateReportNotificationTemplate = ({ title, heading, body }) => {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+  </head>
+  <body style="margin:0; padding:0; background-color:#f2f2f2;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color:#f2f2f2; padding: 20px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" role="presentation"
+            style="background:#ffffff; border-radius:8px; overflow:hidden; font-family:Arial, sans-serif;">
+            <tr>
+              <td style="background-color:#2e7d32; padding: 30px 40px; text-align:center;">
+                <h1 style="margin:0; font-size:24px; color:#ffffff;">${heading}</h1>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 30px 40px; font-size:16px; color:#333; line-height:1.6;">
+                ${body}
+              </td>
+            </tr>
+            <tr>
+              <td style="background-color:#1a4d1f; padding:20px 40px; font-size:12px; color:#d0e3d0; text-align:center;">
+                <p style="margin:0;">© ${new Date().getFullYear()} GreenSnap, Inc. All rights reserved.</p>
+                <p style="margin:8px 0 0;">
+                  If you have any questions, feel free to contact us at
+                  <a href="mailto:greensnapofficial@gmail.com" style="color:#a5d6a7; text-decoration:none;">
+                    greensnapofficial@gmail.com
+                  </a>
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+};
+
+// Report Approved Template
+export const generateReportApprovedTemplate = (username, reportTitle, pointsEarned) => {
+  return generateReportNotificationTemplate({
+    title: "Your GreenSnap report was approved",
+    heading: "Your report is live!",
+    body: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>A moderator reviewed your report <strong>"${escapeHtml(reportTitle)}"</strong> and approved it. It is now visible to the community.</p>
+      ${pointsEarned > 0 ? `<p style="font-size:18px; color:#2e7d32;"><strong>+${pointsEarned} points</strong> have been added to your account.</p>` : ""}
+      <p>Thank you for helping keep your community clean!</p>
+    `
+  });
+};
+
+// Report Rejected Template
+export const generateReportRejectedTemplate = (username, reportTitle, reason) => {
+  return generateReportNotificationTemplate({
+    title: "Your GreenSnap report was not approved",
+    heading: "Report not approved",
+    body: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>A moderator reviewed your report <strong>"${escapeHtml(reportTitle)}"</strong> and could not approve it.</p>
+      <div style="background-color:#fdf2f2; border-left:4px solid #c62828; padding:15px 20px; margin:20px 0;">
+        <strong>Reason:</strong> ${escapeHtml(reason)}
+      </div>
+      <p>If you think this was a mistake, you're welcome to submit a new report with a clearer photo.</p>
+    `
+  });
+};
+
+// New Comment Template
+export const generateNewCommentTemplate = (username, commenterName, reportTitle, commentBody) => {
+  return generateReportNotificationTemplate({
+    title: "New comment on your GreenSnap report",
+    heading: "New comment on your report",
+    body: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p><strong>${escapeHtml(commenterName)}</strong> commented on your report <strong>"${escapeHtml(reportTitle)}"</strong>:</p>
+      <div style="background-color:#f0f7f0; border-left:4px solid #2e7d32; padding:15px 20px; margin:20px 0;">
+        ${escapeHtml(commentBody)}
+      </div>
+      <p>Open the GreenSnap app to reply.</p>
+    `
+  });
+};
@@ -0,0 +1,70 @@
+// Helpers for parsing and working with coordinates sent by the mobile app
+
+export const EARTH_RADIUS_METERS = 6371000;
+
+// Parses a latitude/longitude pair from query or body values
+export const parseCoordinates = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lng)) {
+    return { error: 'Invalid coordinates', code: 'INVALID_COORDINATES' };
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: 'Coordinates out of valid range', code: 'INVALID_COORDINATES_RANGE' };
+  }
+  return { lat, lng };
+};
+
+// Parses "minLng,minLat,maxLng,maxLat" (the order map SDKs report viewports in)
+export const parseBbox = (bbox) => {
+  const parts = String(bbox).split(',').map(part => parseFloat(part));
+
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    return { error: 'Bounding box must be "minLng,minLat,maxLng,maxLat"', code: 'INVALID_BBOX' };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    return { error: 'Bounding box out of valid range', code: 'INVALID_BBOX' };
+  }
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return { error: 'Bounding box minimums must be lower than maximums', code: 'INVALID_BBOX' };
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// GeoJSON polygon usable with $geoWithin on the 2dsphere index
+export const bboxToPolygon = ({ minLng, minLat, maxLng, maxLat }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
+
+export const bboxCenter = ({ minLng, minLat, maxLng, maxLat }) => ({
+  lat: (minLat + maxLat) / 2,
+  lng: (minLng + maxLng) / 2
+});
+
+// Great-circle distance in metres between two { lat, lng } points (haversine)
+export const distanceInMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+// Metres per degree of latitude (and of longitude at the equator)
+export const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_METERS) / 180;
+
+// Heatmap grid cell size in degrees for a web map zoom level: 8 cells across
+// each map tile, so cells stay roughly the same size on screen at every zoom
+export const gridCellSize = (zoom) => 360 / 2 ** (zoom + 3);
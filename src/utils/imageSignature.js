@@ -0,0 +1,27 @@
+// Identifies an image by its leading "magic" bytes rather than by what the
+// client claims. Only formats the image pipeline (sharp) can decode are listed.
+const SIGNATURES = [
+  { type: 'jpeg', mimeType: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: 'png',
+    mimeType: 'image/png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    type: 'webp',
+    mimeType: 'image/webp',
+    matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+// Bytes needed to recognise every supported format
+export const SIGNATURE_LENGTH = 12;
+
+export const SUPPORTED_IMAGE_TYPES = SIGNATURES.map(signature => signature.mimeType);
+
+// Returns { type, mimeType } or null when the bytes aren't a supported image
+export const detectImageType = (header) => {
+  if (!header || header.length < 3) return null;
+  const signature = SIGNATURES.find(candidate => candidate.matches(header));
+  return signature ? { type: signature.type, mimeType: signature.mimeType } : null;
+};
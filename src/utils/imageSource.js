@@ -0,0 +1,24 @@
+import fs from 'fs';
+import { Buffer } from 'buffer';
+
+// Report photos arrive as a base64 string (with or without a data URI prefix),
+// a Buffer, or a multipart temp file { path } (see middleware/multipartUpload.js).
+
+// Something sharp can read: a Buffer, or the temp file's path so it isn't loaded into memory
+export function toImageSource(image) {
+  if (Buffer.isBuffer(image)) return image;
+  if (typeof image === 'string') {
+    return Buffer.from(image.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  }
+  return image.path;
+}
+
+// Feeds the bytes of a toImageSource() result into a crypto Hash, reading
+// files in chunks. Returns the hash for chaining.
+export async function updateHashWithImage(hash, source) {
+  if (Buffer.isBuffer(source)) return hash.update(source);
+  for await (const chunk of fs.createReadStream(source)) {
+    hash.update(chunk);
+  }
+  return hash;
+}
@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import { REPORT_STATUSES, HIDDEN_STATUSES, REPORT_TYPES, STAFF_ONLY_FIELDS } from '../models/Report.js';
+import { parseBbox, bboxToPolygon } from './geo.js';
+
+const DATE_FIELDS = ['createdTime', 'photoTimestamp'];
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  priority: { priority: -1, createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 }
+};
+const MAX_LIMIT = 50;
+const MAX_SEARCH_LENGTH = 200;
+
+// Held-for-review and rejected reports are only listed for staff
+export const canSeeHiddenReports = (user) => ['moderator', 'admin'].includes(user?.role);
+
+// Projection for report queries that drops STAFF_ONLY_FIELDS for everyone else;
+// extra fields (e.g. a text score) are merged in. Undefined when nothing is needed.
+export const reportProjection = (user, extra) => {
+  if (canSeeHiddenReports(user)) return extra;
+  return { ...extra, ...Object.fromEntries(STAFF_ONLY_FIELDS.map(field => [field, 0])) };
+};
+
+// Plain copy of a single report document for a response, without STAFF_ONLY_FIELDS
+// unless the user is staff ("confirmations.trustScore" is removed from each confirmation)
+export const serializeReport = (report, user) => {
+  const plain = typeof report.toJSON === 'function' ? report.toJSON() : { ...report };
+  if (!canSeeHiddenReports(user)) {
+    STAFF_ONLY_FIELDS.forEach(field => {
+      const [parent, child] = field.split('.');
+      if (!child) {
+        delete plain[parent];
+      } else if (Array.isArray(plain[parent])) {
+        plain[parent] = plain[parent].map(({ [child]: removed, ...item }) => item);
+      }
+    });
+  }
+  return plain;
+};
+
+// Parses ?status=open,acknowledged into a Mongo condition (null when absent).
+// Hidden statuses come back with forbidden: true unless allowHidden is set.
+export const parseStatusFilter = (status, { allowHidden = false } = {}) => {
+  if (!status) return { value: null };
+  const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.filter(s => !REPORT_STATUSES.includes(s));
+  if (invalid.length > 0) {
+    return { error: `Invalid status: ${invalid.join(', ')}` };
+  }
+  const hidden = statuses.filter(s => HIDDEN_STATUSES.includes(s));
+  if (hidden.length > 0 && !allowHidden) {
+    return { error: `Not allowed to list reports with status: ${hidden.join(', ')}`, forbidden: true };
+  }
+  return { value: statuses.length === 1 ? statuses[0] : { $in: statuses } };
+};
+
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : NaN;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const fail = (message, code, extra = {}, status = 400) => ({ error: { message, code, ...extra }, status });
+
+// Validates and coerces the report feed query string into a Mongo filter.
+// Returns { filter, sort, page, limit, search } or { error: { message, code }, status }.
+//
+//   page, limit          numbers (limit max 50)
+//   status               comma list; defaults to everything except hidden statuses,
+//                        which only moderators and admins may ask for
+//   reportType           comma list of standard | hazardous | large
+//   from, to, dateField  date range on createdTime (default) or photoTimestamp
+//   reporter             user id, or "me"
+//   bbox                 minLng,minLat,maxLng,maxLat
+//   q                    full-text search over title, details and address
+//   sort                 newest (default) | oldest | priority | relevance (needs q)
+export const parseReportFeedQuery = (query, currentUser) => {
+  const page = parsePositiveInt(query.page, 1);
+  const limit = parsePositiveInt(query.limit, 10);
+  if (isNaN(page) || isNaN(limit) || limit > MAX_LIMIT) {
+    return fail(`page must be a positive integer and limit between 1 and ${MAX_LIMIT}`, 'INVALID_PAGINATION');
+  }
+
+  const statusFilter = parseStatusFilter(query.status, { allowHidden: canSeeHiddenReports(currentUser) });
+  if (statusFilter.forbidden) {
+    return fail(statusFilter.error, 'FORBIDDEN_STATUS', {}, 403);
+  }
+  if (statusFilter.error) {
+    return fail(statusFilter.error, 'INVALID_STATUS', { validStatuses: REPORT_STATUSES });
+  }
+  // Unverified and rejected reports stay out of the feed unless staff ask for them
+  const filter = { status: statusFilter.value || { $nin: HIDDEN_STATUSES } };
+
+  if (query.reportType) {
+    const types = parseList(query.reportType);
+    const invalid = types.filter(type => !REPORT_TYPES.includes(type));
+    if (invalid.length > 0) {
+      return fail(`Invalid report type: ${invalid.join(', ')}`, 'INVALID_REPORT_TYPE', { validReportTypes: REPORT_TYPES });
+    }
+    filter.reportType = types.length === 1 ? types[0] : { $in: types };
+  }
+
+  if (query.from || query.to) {
+    const dateField = query.dateField || 'createdTime';
+    if (!DATE_FIELDS.includes(dateField)) {
+      return fail('dateField must be createdTime or photoTimestamp', 'INVALID_DATE_FIELD');
+    }
+    const range = {};
+    if (query.from) {
+      range.$gte = parseDate(query.from);
+      if (!range.$gte) return fail('Invalid from date', 'INVALID_DATE');
+    }
+    if (query.to) {
+      range.$lte = parseDate(query.to);
+      if (!range.$lte) return fail('Invalid to date', 'INVALID_DATE');
+    }
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+      return fail('from must be before to', 'INVALID_DATE');
+    }
+    filter[dateField] = range;
+  }
+
+  if (query.reporter) {
+    const reporter = query.reporter === 'me' ? currentUser?._id : query.reporter;
+    if (!reporter || !mongoose.isValidObjectId(reporter)) {
+      return fail('Invalid reporter id', 'INVALID_REPORTER');
+    }
+    filter.user = reporter;
+  }
+
+  if (query.bbox) {
+    const box = parseBbox(query.bbox);
+    if (box.error) return fail(box.error, box.code);
+    filter.location = { $geoWithin: { $geometry: bboxToPolygon(box) } };
+  }
+
+  let search;
+  if (query.q !== undefined) {
+    search = String(query.q).trim();
+    if (!search || search.length > MAX_SEARCH_LENGTH) {
+      return fail(`Search text must be 1-${MAX_SEARCH_LENGTH} characters`, 'INVALID_SEARCH');
+    }
+    filter.$text = { $search: search };
+  }
+
+  const sortName = query.sort || 'newest';
+  if (!SORTS[sortName]) {
+    return fail(`sort must be one of: ${Object.keys(SORTS).join(', ')}`, 'INVALID_SORT');
+  }
+  if (sortName === 'relevance' && !search) {
+    return fail('sort=relevance requires a search query (q)', 'INVALID_SORT');
+  }
+
+  return { filter, sort: SORTS[sortName], sortName, page, limit, search };
+};
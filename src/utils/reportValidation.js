@@ -0,0 +1,169 @@
+import { REPORT_TYPES } from '../models/Report.js';
+import { detectImageType, SUPPORTED_IMAGE_TYPES } from './imageSignature.js';
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const MAX_REPORT_IMAGES = parseInt(process.env.REPORT_MAX_IMAGES) || 5;
+// express.json body limit (see index.js). Base64 adds a third, so a JSON request
+// carries about 7.5MB of images in total; larger sets have to use multipart.
+export const MAX_JSON_BODY_BYTES = 10 * 1024 * 1024;
+export const MAX_JSON_IMAGES_BYTES = Math.floor(MAX_JSON_BODY_BYTES * 3 / 4);
+
+export const jsonImagesTooLarge = () => ({
+  status: 413,
+  body: {
+    message: `Images sent as JSON may total at most ${(MAX_JSON_IMAGES_BYTES / 1024 / 1024).toFixed(1)}MB; ` +
+      'send larger sets as multipart/form-data',
+    code: 'IMAGES_TOO_LARGE',
+    maxTotalBytes: MAX_JSON_IMAGES_BYTES
+  }
+});
+
+// Checks a base64 image body field; returns { status, body } for the error response or null
+export const checkBase64Image = (image) => {
+  if (typeof image !== 'string' || !/^(data:image\/\w+;base64,)?[A-Za-z0-9+/=]+$/.test(image)) {
+    return {
+      status: 400,
+      body: { message: 'Invalid image format', code: 'INVALID_IMAGE_FORMAT' }
+    };
+  }
+  const base64 = image.replace(/^data:image\/\w+;base64,/, '');
+  if (Buffer.byteLength(base64, 'base64') > MAX_IMAGE_BYTES) {
+    return {
+      status: 413,
+      body: { message: 'Image too large (max 5MB)', code: 'IMAGE_TOO_LARGE' }
+    };
+  }
+  // Decoding the first 16 characters is enough to read the file signature
+  if (!detectImageType(Buffer.from(base64.slice(0, 16), 'base64'))) {
+    return {
+      status: 415,
+      body: {
+        message: 'Unsupported image type',
+        code: 'UNSUPPORTED_IMAGE_TYPE',
+        supportedTypes: SUPPORTED_IMAGE_TYPES
+      }
+    };
+  }
+  return null;
+};
+
+const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+// Validates the report fields shared by creating and editing a report.
+// With partial, only the fields present in body are checked (for edits).
+// Returns { error: { status, body } } or { values } with trimmed/parsed values.
+//
+// Several photos can be sent as images: [...] instead of image; values.images
+// always holds the list and values.image the primary (first) photo. Files from a
+// multipart upload (already checked while streaming) are passed as uploads and
+// take the place of the base64 fields.
+export const validateReportInput = (body, { partial = false, uploads } = {}) => {
+  const fail = (status, responseBody) => ({ error: { status, body: responseBody } });
+  const { title, details, address, latitude, longitude, photoTimestamp, reportType } = body;
+  const has = (value) => value !== undefined;
+
+  let { image } = body;
+  if (uploads?.length) {
+    image = uploads[0];
+  } else if (has(body.images)) {
+    if (!Array.isArray(body.images) || body.images.length === 0 || body.images.length > MAX_REPORT_IMAGES) {
+      return fail(400, {
+        message: `images must be a list of 1 to ${MAX_REPORT_IMAGES} images`,
+        code: 'INVALID_IMAGE_COUNT',
+        maxImages: MAX_REPORT_IMAGES
+      });
+    }
+    if (has(image)) {
+      return fail(400, { message: 'Send either image or images, not both', code: 'INVALID_IMAGE_COUNT' });
+    }
+    image = body.images[0];
+  }
+
+  const missingFields = [];
+  for (const [field, value] of Object.entries({ title, image, details, address })) {
+    const present = field === 'image' && uploads?.length > 0;
+    if (!present && (!partial || has(value)) && isBlank(value)) missingFields.push(field);
+  }
+  const hasLocation = has(latitude) || has(longitude);
+  if ((!partial || hasLocation) && (latitude === undefined || longitude === undefined)) {
+    missingFields.push('location');
+  }
+
+  if (missingFields.length > 0) {
+    return fail(400, {
+      message: `Missing required fields: ${missingFields.join(', ')}`,
+      code: 'MISSING_FIELDS',
+      missingFields
+    });
+  }
+
+  const values = {};
+  if (has(title)) values.title = title.trim();
+  if (has(details)) values.details = details.trim();
+  if (has(address)) values.address = address.trim();
+
+  if (hasLocation) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || isNaN(lng)) {
+      return fail(400, { message: 'Invalid coordinates', code: 'INVALID_COORDINATES' });
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return fail(400, {
+        message: 'Coordinates out of valid range',
+        code: 'INVALID_COORDINATES_RANGE',
+        details: {
+          validLatitudeRange: '[-90, 90]',
+          validLongitudeRange: '[-180, 180]',
+          received: { latitude: lat, longitude: lng }
+        }
+      });
+    }
+    values.lat = lat;
+    values.lng = lng;
+  }
+
+  if (uploads?.length) {
+    values.image = uploads[0];
+    values.images = uploads;
+  } else if (has(image)) {
+    const images = body.images || [image];
+    for (const [index, item] of images.entries()) {
+      const imageError = checkBase64Image(item);
+      if (imageError) {
+        return { error: body.images ? { ...imageError, body: { ...imageError.body, imageIndex: index } } : imageError };
+      }
+    }
+    const totalBytes = images.reduce(
+      (sum, item) => sum + Buffer.byteLength(item.replace(/^data:image\/\w+;base64,/, ''), 'base64'),
+      0
+    );
+    if (totalBytes > MAX_JSON_IMAGES_BYTES) {
+      return { error: jsonImagesTooLarge() };
+    }
+    values.image = image;
+    values.images = images;
+  }
+
+  if (reportType) {
+    if (!REPORT_TYPES.includes(reportType)) {
+      return fail(400, {
+        message: 'Invalid report type',
+        code: 'INVALID_REPORT_TYPE',
+        validReportTypes: REPORT_TYPES
+      });
+    }
+    values.reportType = reportType;
+  }
+
+  if (photoTimestamp) {
+    const timestamp = new Date(photoTimestamp);
+    if (isNaN(timestamp.getTime())) {
+      return fail(400, { message: 'Invalid photo timestamp', code: 'INVALID_PHOTO_TIMESTAMP' });
+    }
+    values.photoTimestamp = timestamp;
+  }
+
+  return { values };
+};